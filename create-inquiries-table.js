@@ -11,13 +11,37 @@ async function createInquiriesTable() {
         name VARCHAR(255) DEFAULT '',
         email VARCHAR(255) DEFAULT '',
         mobile VARCHAR(20) DEFAULT '',
-        status ENUM('pending', 'resolved') DEFAULT 'pending',
+        status ENUM('pending', 'in-progress', 'resolved', 'closed') DEFAULT 'pending',
+        assigned_to INT NULL,
+        order_id INT NULL,
         createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deletedAt DATETIME NULL,
+        INDEX idx_inquiries_deleted (deletedAt),
+        INDEX idx_inquiries_assigned (assigned_to),
+        INDEX idx_inquiries_order (order_id),
+        FULLTEXT INDEX ft_inquiries_search (mobile, email, name, message),
+        FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
     `;
     
     await db.query(sql);
+    
+    console.log('Creating inquiry_notes table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS inquiry_notes (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        inquiry_id INT NOT NULL,
+        user_id INT NULL,
+        note TEXT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_inquiry_notes_inquiry (inquiry_id, createdAt),
+        FOREIGN KEY (inquiry_id) REFERENCES inquiries(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
     console.log('✅ Inquiries table created successfully!');
     process.exit(0);
   } catch (error) {
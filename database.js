@@ -54,9 +54,33 @@ const queryWithFields = async (sql, values) => {
   }
 };
 
+// Run callback inside a transaction; callback receives a query executor bound to the connection
+const transaction = async (callback) => {
+  const connection = await promisePool.getConnection();
+  const executor = {
+    query: async (sql, values) => {
+      const [rows] = await connection.query(sql, values);
+      return rows;
+    }
+  };
+
+  try {
+    await connection.beginTransaction();
+    const result = await callback(executor);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 module.exports = {
   pool: promisePool,
   query,
   queryWithFields,
+  transaction,
   testConnection
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+const db = require('../database');
+
+async function createOrderStatusHistoryTable() {
+  try {
+    console.log('Creating order_status_history table...');
+    
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        order_id INT NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        user_id INT,
+        note TEXT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_order_status_history_order (order_id, createdAt),
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    // Backfill orders that have no history yet: placement at createdAt,
+    // and the current status at updatedAt (the only timestamps we have)
+    console.log('Backfilling history for existing orders...');
+    
+    await db.query(`
+      INSERT INTO order_status_history (order_id, from_status, to_status, createdAt)
+      SELECT o.id, NULL, 'received', o.createdAt
+      FROM orders o
+      WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id)
+    `);
+    
+    await db.query(`
+      INSERT INTO order_status_history (order_id, from_status, to_status, note, createdAt)
+      SELECT o.id, 'received', o.status, 'Backfilled from order record', o.updatedAt
+      FROM orders o
+      WHERE o.status != 'received'
+        AND NOT EXISTS (
+          SELECT 1 FROM order_status_history h 
+          WHERE h.order_id = o.id AND h.to_status = o.status
+        )
+    `);
+    
+    console.log('✅ order_status_history table ready!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating order_status_history table:', error.message);
+    process.exit(1);
+  }
+}
+
+createOrderStatusHistoryTable();
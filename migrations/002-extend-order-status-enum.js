@@ -0,0 +1,21 @@
+const db = require('../database');
+
+async function extendOrderStatusEnum() {
+  try {
+    console.log('Extending orders.status with cancellation/return statuses...');
+    
+    await db.query(`
+      ALTER TABLE orders 
+      MODIFY status ENUM('received', 'issued', 'sended', 'in-transit', 'delivered', 'cancelled', 'returned', 'rto') 
+      DEFAULT 'received'
+    `);
+    
+    console.log('✅ orders.status updated successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error updating orders.status:', error.message);
+    process.exit(1);
+  }
+}
+
+extendOrderStatusEnum();
@@ -0,0 +1,18 @@
+const db = require('../database');
+
+async function addOrderReasonCodes() {
+  try {
+    console.log('Adding reason_code columns for cancellations and returns...');
+    
+    await db.query('ALTER TABLE orders ADD COLUMN reason_code VARCHAR(50) AFTER status');
+    await db.query('ALTER TABLE order_status_history ADD COLUMN reason_code VARCHAR(50) AFTER user_id');
+    
+    console.log('✅ reason_code columns added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding reason_code columns:', error.message);
+    process.exit(1);
+  }
+}
+
+addOrderReasonCodes();
@@ -0,0 +1,49 @@
+const db = require('../database');
+
+async function createOrderItemsTable() {
+  try {
+    console.log('Creating order_items table...');
+    
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS order_items (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        order_id INT NOT NULL,
+        product_id VARCHAR(20),
+        product_name VARCHAR(200) NOT NULL,
+        quantity INT NOT NULL,
+        unit_price DECIMAL(10, 2) NOT NULL,
+        line_total DECIMAL(10, 2) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_order_items_order (order_id),
+        INDEX idx_order_items_product (product_id),
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    // Every existing order becomes a single line item
+    console.log('Backfilling line items for existing orders...');
+    
+    await db.query(`
+      INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, line_total, createdAt)
+      SELECT 
+        o.id, 
+        o.product_id, 
+        COALESCE(o.product_name, ''), 
+        o.quantity, 
+        COALESCE(o.total_amount, 0) / GREATEST(o.quantity, 1), 
+        COALESCE(o.total_amount, 0), 
+        o.createdAt
+      FROM orders o
+      WHERE NOT EXISTS (SELECT 1 FROM order_items oi WHERE oi.order_id = o.id)
+    `);
+    
+    console.log('✅ order_items table ready!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating order_items table:', error.message);
+    process.exit(1);
+  }
+}
+
+createOrderItemsTable();
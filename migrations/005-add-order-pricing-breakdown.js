@@ -0,0 +1,25 @@
+const db = require('../database');
+
+async function addOrderPricingBreakdown() {
+  try {
+    console.log('Adding pricing breakdown columns to orders...');
+    
+    await db.query(`
+      ALTER TABLE orders 
+      ADD COLUMN subtotal DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER notes,
+      ADD COLUMN delivery_fee DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER subtotal,
+      ADD COLUMN discount DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER delivery_fee
+    `);
+    
+    // Existing orders had no fee or discount, so the subtotal is the stored total
+    await db.query('UPDATE orders SET subtotal = COALESCE(total_amount, 0)');
+    
+    console.log('✅ Pricing breakdown columns added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding pricing breakdown columns:', error.message);
+    process.exit(1);
+  }
+}
+
+addOrderPricingBreakdown();
@@ -0,0 +1,41 @@
+const db = require('../database');
+
+async function addInventoryTracking() {
+  try {
+    console.log('Adding stock_quantity to products...');
+    
+    // NULL means the product's stock is not tracked
+    await db.query(`
+      ALTER TABLE products 
+      ADD COLUMN stock_quantity INT NULL AFTER image
+    `);
+    
+    console.log('Creating stock_movements table...');
+    
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        product_id VARCHAR(20) NOT NULL,
+        order_id INT,
+        type VARCHAR(20) NOT NULL,
+        quantity_change INT NOT NULL,
+        balance_after INT NOT NULL,
+        user_id INT,
+        note TEXT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_stock_movements_product (product_id, createdAt),
+        FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE ON UPDATE CASCADE,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    
+    console.log('✅ Inventory tracking added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding inventory tracking:', error.message);
+    process.exit(1);
+  }
+}
+
+addInventoryTracking();
@@ -0,0 +1,20 @@
+const db = require('../database');
+
+async function addReorderThreshold() {
+  try {
+    console.log('Adding reorder_threshold to products...');
+    
+    await db.query(`
+      ALTER TABLE products 
+      ADD COLUMN reorder_threshold INT NOT NULL DEFAULT 10 AFTER stock_quantity
+    `);
+    
+    console.log('✅ Reorder threshold added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding reorder threshold:', error.message);
+    process.exit(1);
+  }
+}
+
+addReorderThreshold();
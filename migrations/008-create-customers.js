@@ -0,0 +1,64 @@
+const db = require('../database');
+const { normalizeMobile } = require('../src/utils/phone');
+
+async function createCustomersTable() {
+  try {
+    console.log('Creating customers table...');
+    
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        fullName VARCHAR(100) NOT NULL,
+        mobile VARCHAR(20) UNIQUE NOT NULL,
+        address TEXT,
+        email VARCHAR(100),
+        notes TEXT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    console.log('Adding customer_id to orders...');
+    
+    await db.query(`
+      ALTER TABLE orders 
+      ADD COLUMN customer_id INT NULL AFTER order_id,
+      ADD INDEX idx_orders_customer (customer_id),
+      ADD CONSTRAINT fk_orders_customer FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL
+    `);
+    
+    // One customer per normalized mobile; the name and address of their first order are kept
+    console.log('Backfilling customers from existing orders...');
+    
+    const orders = await db.query(`
+      SELECT id, fullName, address, mobile, createdAt 
+      FROM orders 
+      WHERE customer_id IS NULL 
+      ORDER BY createdAt ASC, id ASC
+    `);
+    
+    let linked = 0;
+    
+    for (const order of orders) {
+      const mobile = normalizeMobile(order.mobile);
+      if (!mobile) continue;
+      
+      const result = await db.query(`
+        INSERT INTO customers (fullName, mobile, address, createdAt)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)
+      `, [order.fullName, mobile, order.address, order.createdAt]);
+      
+      await db.query('UPDATE orders SET customer_id = ? WHERE id = ?', [result.insertId, order.id]);
+      linked++;
+    }
+    
+    console.log(`✅ customers table ready! Linked ${linked} of ${orders.length} orders.`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating customers table:', error.message);
+    process.exit(1);
+  }
+}
+
+createCustomersTable();
@@ -0,0 +1,90 @@
+const db = require('../database');
+const { normalizeMobile } = require('../src/utils/phone');
+
+async function normalizeMobileNumbers() {
+  try {
+    // Numbers that cannot be normalized are left as they are and listed for manual review
+    const skipped = [];
+    
+    console.log('Normalizing orders.mobile...');
+    
+    const orders = await db.query('SELECT id, order_id, mobile FROM orders');
+    let ordersUpdated = 0;
+    
+    for (const order of orders) {
+      const mobile = normalizeMobile(order.mobile);
+      
+      if (!mobile) {
+        skipped.push(`order ${order.order_id}: ${order.mobile}`);
+      } else if (mobile !== order.mobile) {
+        await db.query('UPDATE orders SET mobile = ? WHERE id = ?', [mobile, order.id]);
+        ordersUpdated++;
+      }
+    }
+    
+    console.log(`✅ ${ordersUpdated} orders updated`);
+    
+    console.log('Normalizing inquiries.mobile...');
+    
+    const inquiries = await db.query("SELECT id, mobile FROM inquiries WHERE mobile IS NOT NULL AND mobile != ''");
+    let inquiriesUpdated = 0;
+    
+    for (const inquiry of inquiries) {
+      const mobile = normalizeMobile(inquiry.mobile);
+      
+      if (!mobile) {
+        skipped.push(`inquiry ${inquiry.id}: ${inquiry.mobile}`);
+      } else if (mobile !== inquiry.mobile) {
+        await db.query('UPDATE inquiries SET mobile = ? WHERE id = ?', [mobile, inquiry.id]);
+        inquiriesUpdated++;
+      }
+    }
+    
+    console.log(`✅ ${inquiriesUpdated} inquiries updated`);
+    
+    // "0771234567" and "94771234567" were separate customers before; merge them into the oldest
+    console.log('Normalizing and merging customers...');
+    
+    const customers = await db.query('SELECT id, mobile FROM customers ORDER BY createdAt ASC, id ASC');
+    const groups = new Map();
+    
+    for (const customer of customers) {
+      const mobile = normalizeMobile(customer.mobile);
+      
+      if (!mobile) {
+        skipped.push(`customer ${customer.id}: ${customer.mobile}`);
+      } else {
+        groups.set(mobile, [...(groups.get(mobile) || []), customer]);
+      }
+    }
+    
+    let customersMerged = 0;
+    
+    for (const [mobile, [keeper, ...duplicates]] of groups) {
+      // Remove duplicates first so the keeper can take the normalized number
+      for (const duplicate of duplicates) {
+        await db.query('UPDATE orders SET customer_id = ? WHERE customer_id = ?', [keeper.id, duplicate.id]);
+        await db.query('DELETE FROM customers WHERE id = ?', [duplicate.id]);
+        customersMerged++;
+      }
+      
+      if (mobile !== keeper.mobile) {
+        await db.query('UPDATE customers SET mobile = ? WHERE id = ?', [mobile, keeper.id]);
+      }
+    }
+    
+    console.log(`✅ ${customersMerged} duplicate customers merged`);
+    
+    if (skipped.length > 0) {
+      console.log(`⚠️  ${skipped.length} numbers could not be normalized:`);
+      skipped.forEach(entry => console.log(`   - ${entry}`));
+    }
+    
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error normalizing mobile numbers:', error.message);
+    process.exit(1);
+  }
+}
+
+normalizeMobileNumbers();
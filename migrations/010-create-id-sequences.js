@@ -0,0 +1,26 @@
+const db = require('../database');
+
+async function createIdSequencesTable() {
+  try {
+    console.log('Creating id_sequences table...');
+    
+    // One counter row per identifier type and period (YYYYMMDD for daily formats, '' otherwise)
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS id_sequences (
+        name VARCHAR(50) NOT NULL,
+        period VARCHAR(8) NOT NULL DEFAULT '',
+        value INT NOT NULL,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (name, period)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    console.log('✅ id_sequences table ready!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating id_sequences table:', error.message);
+    process.exit(1);
+  }
+}
+
+createIdSequencesTable();
@@ -0,0 +1,36 @@
+const db = require('../database');
+
+// Index columns must match the `fields` of each type in src/models/Search.js
+const INDEXES = [
+  { table: 'orders', name: 'ft_orders_search', columns: 'order_id, mobile, fullName, address, notes' },
+  { table: 'products', name: 'ft_products_search', columns: 'product_id, name, category, description' },
+  { table: 'inquiries', name: 'ft_inquiries_search', columns: 'mobile, email, name, message' }
+];
+
+async function addFulltextSearch() {
+  try {
+    for (const { table, name, columns } of INDEXES) {
+      const existing = await db.query(
+        `SELECT COUNT(*) as count FROM information_schema.statistics
+         WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?`,
+        [table, name]
+      );
+      
+      if (existing[0].count > 0) {
+        console.log(`${name} already exists, skipping`);
+        continue;
+      }
+      
+      console.log(`Adding ${name} to ${table}...`);
+      await db.query(`ALTER TABLE ${table} ADD FULLTEXT INDEX ${name} (${columns})`);
+    }
+    
+    console.log('✅ Full-text search indexes added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding full-text search indexes:', error.message);
+    process.exit(1);
+  }
+}
+
+addFulltextSearch();
@@ -0,0 +1,44 @@
+const db = require('../database');
+
+async function createAuthTokenTables() {
+  try {
+    console.log('Creating refresh_tokens table...');
+    
+    // Only a SHA-256 hash of each refresh token is stored; family_id groups the tokens of one login
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        family_id CHAR(36) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        replaced_by INT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_refresh_tokens_user (user_id),
+        INDEX idx_refresh_tokens_family (family_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    console.log('Creating revoked_tokens table...');
+    
+    // Access token ids (jti) revoked before they expire
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti CHAR(36) PRIMARY KEY,
+        expires_at DATETIME NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_revoked_tokens_expires (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    console.log('✅ Auth token tables created successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating auth token tables:', error.message);
+    process.exit(1);
+  }
+}
+
+createAuthTokenTables();
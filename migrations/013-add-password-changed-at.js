@@ -0,0 +1,21 @@
+const db = require('../database');
+
+async function addPasswordChangedAt() {
+  try {
+    console.log('Adding passwordChangedAt to users...');
+    
+    // Access tokens issued before this time are rejected by authMiddleware
+    await db.query(`
+      ALTER TABLE users 
+      ADD COLUMN passwordChangedAt DATETIME NULL AFTER role
+    `);
+    
+    console.log('✅ passwordChangedAt added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding passwordChangedAt:', error.message);
+    process.exit(1);
+  }
+}
+
+addPasswordChangedAt();
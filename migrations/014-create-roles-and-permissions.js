@@ -0,0 +1,64 @@
+const db = require('../database');
+const { DEFAULT_ROLES, ADMIN_ROLE } = require('../src/utils/permissions');
+
+async function createRolesAndPermissions() {
+  try {
+    console.log('Creating roles tables...');
+    
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        name VARCHAR(50) PRIMARY KEY,
+        description VARCHAR(255),
+        is_system BOOLEAN NOT NULL DEFAULT FALSE,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role VARCHAR(50) NOT NULL,
+        permission VARCHAR(50) NOT NULL,
+        PRIMARY KEY (role, permission),
+        FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE ON UPDATE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    // Default roles; existing permission sets are left untouched when re-run
+    console.log('Inserting default roles...');
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+      const result = await db.query(
+        'INSERT IGNORE INTO roles (name, description, is_system) VALUES (?, ?, ?)',
+        [name, role.description, name === ADMIN_ROLE]
+      );
+      
+      if (result.affectedRows > 0) {
+        await db.query(
+          'INSERT IGNORE INTO role_permissions (role, permission) VALUES ?',
+          [role.permissions.map(permission => [name, permission])]
+        );
+      }
+    }
+    
+    // Any other role already assigned to users (e.g. 'manager') becomes a role without permissions
+    await db.query(`
+      INSERT IGNORE INTO roles (name, description)
+      SELECT DISTINCT role, 'Migrated role' FROM users WHERE role IS NOT NULL
+    `);
+    
+    console.log('Converting users.role to reference roles...');
+    await db.query(`
+      ALTER TABLE users 
+      MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'admin',
+      ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE
+    `);
+    
+    console.log('✅ Roles and permissions created successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating roles and permissions:', error.message);
+    process.exit(1);
+  }
+}
+
+createRolesAndPermissions();
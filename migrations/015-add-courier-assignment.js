@@ -0,0 +1,45 @@
+const db = require('../database');
+const { DEFAULT_ROLES, COURIER_ROLE } = require('../src/utils/permissions');
+
+async function addCourierAssignment() {
+  try {
+    console.log('Adding courier_id to orders...');
+    
+    await db.query(`
+      ALTER TABLE orders 
+      ADD COLUMN courier_id INT NULL AFTER customer_id,
+      ADD INDEX idx_orders_courier (courier_id),
+      ADD CONSTRAINT fk_orders_courier FOREIGN KEY (courier_id) REFERENCES users(id) ON DELETE SET NULL
+    `);
+    
+    console.log('Creating courier role...');
+    const courier = DEFAULT_ROLES[COURIER_ROLE];
+    const result = await db.query(
+      'INSERT IGNORE INTO roles (name, description) VALUES (?, ?)',
+      [COURIER_ROLE, courier.description]
+    );
+    
+    if (result.affectedRows > 0) {
+      await db.query(
+        'INSERT IGNORE INTO role_permissions (role, permission) VALUES ?',
+        [courier.permissions.map(permission => [COURIER_ROLE, permission])]
+      );
+    }
+    
+    // Staff keep seeing every courier order (access is now scoped without courier:all)
+    await db.query(`
+      INSERT IGNORE INTO role_permissions (role, permission)
+      SELECT name, permission FROM roles
+      CROSS JOIN (SELECT 'courier:all' as permission UNION SELECT 'courier:assign') p
+      WHERE name = 'staff'
+    `);
+    
+    console.log('✅ Courier assignment added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding courier assignment:', error.message);
+    process.exit(1);
+  }
+}
+
+addCourierAssignment();
@@ -0,0 +1,39 @@
+const db = require('../database');
+
+async function addLoginProtection() {
+  try {
+    console.log('Adding failed login columns to users...');
+    
+    await db.query(`
+      ALTER TABLE users 
+      ADD COLUMN failedLoginCount INT NOT NULL DEFAULT 0 AFTER passwordChangedAt,
+      ADD COLUMN lockedUntil DATETIME NULL AFTER failedLoginCount
+    `);
+    
+    console.log('Creating login_attempts table...');
+    
+    // Failed logins: audit trail and per-IP counter
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NULL,
+        identifier VARCHAR(255) NOT NULL,
+        ip VARCHAR(45) NOT NULL,
+        user_agent VARCHAR(255),
+        reason VARCHAR(30) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_login_attempts_ip (ip, createdAt),
+        INDEX idx_login_attempts_user (user_id, createdAt),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    console.log('✅ Login protection added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding login protection:', error.message);
+    process.exit(1);
+  }
+}
+
+addLoginProtection();
@@ -0,0 +1,30 @@
+const db = require('../database');
+
+async function createPasswordResetTokens() {
+  try {
+    console.log('Creating password_reset_tokens table...');
+    
+    // Only a SHA-256 hash of each reset token is stored; used_at marks it spent
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        requested_ip VARCHAR(45),
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_password_reset_tokens_user (user_id, createdAt),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    console.log('✅ Password reset tokens table created successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating password reset tokens table:', error.message);
+    process.exit(1);
+  }
+}
+
+createPasswordResetTokens();
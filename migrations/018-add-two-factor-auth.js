@@ -0,0 +1,39 @@
+const db = require('../database');
+
+async function addTwoFactorAuth() {
+  try {
+    console.log('Adding two-factor columns to users...');
+    
+    // totpSecret is set at setup; 2FA is on once totpEnabledAt is set.
+    // totpLastStep is the time step of the last accepted code, so codes cannot be replayed.
+    await db.query(`
+      ALTER TABLE users 
+      ADD COLUMN totpSecret VARCHAR(64) NULL AFTER lockedUntil,
+      ADD COLUMN totpEnabledAt DATETIME NULL AFTER totpSecret,
+      ADD COLUMN totpLastStep BIGINT NULL AFTER totpEnabledAt
+    `);
+    
+    console.log('Creating user_recovery_codes table...');
+    
+    // Only SHA-256 hashes of the recovery codes are stored
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_recovery_codes_user (user_id, code_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    console.log('✅ Two-factor authentication added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding two-factor authentication:', error.message);
+    process.exit(1);
+  }
+}
+
+addTwoFactorAuth();
@@ -0,0 +1,35 @@
+const db = require('../database');
+
+async function createAuditLog() {
+  try {
+    console.log('Creating audit_log table...');
+    
+    // before_data/after_data hold the fields that changed; entries outlive the user who made them
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NULL,
+        entity VARCHAR(30) NOT NULL,
+        entity_id VARCHAR(64) NULL,
+        action VARCHAR(30) NOT NULL,
+        before_data JSON NULL,
+        after_data JSON NULL,
+        ip VARCHAR(45),
+        request_id VARCHAR(64),
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_audit_log_entity (entity, entity_id, createdAt),
+        INDEX idx_audit_log_user (user_id, createdAt),
+        INDEX idx_audit_log_created (createdAt),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    console.log('✅ Audit log table created successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating audit log table:', error.message);
+    process.exit(1);
+  }
+}
+
+createAuditLog();
@@ -0,0 +1,36 @@
+const db = require('../database');
+
+// Tables whose rows are soft deleted (see src/utils/softDelete.js)
+const TABLES = ['orders', 'products', 'users', 'inquiries'];
+
+async function addSoftDelete() {
+  try {
+    for (const table of TABLES) {
+      const existing = await db.query(
+        `SELECT COUNT(*) as count FROM information_schema.columns
+         WHERE table_schema = DATABASE() AND table_name = ? AND column_name = 'deletedAt'`,
+        [table]
+      );
+
+      if (existing[0].count > 0) {
+        console.log(`${table}.deletedAt already exists, skipping`);
+        continue;
+      }
+
+      console.log(`Adding deletedAt to ${table}...`);
+      await db.query(`
+        ALTER TABLE ${table}
+        ADD COLUMN deletedAt DATETIME NULL AFTER updatedAt,
+        ADD INDEX idx_${table}_deleted (deletedAt)
+      `);
+    }
+
+    console.log('✅ Soft delete columns added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding soft delete columns:', error.message);
+    process.exit(1);
+  }
+}
+
+addSoftDelete();
@@ -0,0 +1,47 @@
+const db = require('../database');
+
+async function addInquiryWorkflow() {
+  try {
+    console.log('Extending inquiry statuses and adding assignment...');
+    
+    await db.query(`
+      ALTER TABLE inquiries 
+      MODIFY COLUMN status ENUM('pending', 'in-progress', 'resolved', 'closed') DEFAULT 'pending',
+      ADD COLUMN assigned_to INT NULL AFTER status,
+      ADD INDEX idx_inquiries_assigned (assigned_to),
+      ADD CONSTRAINT fk_inquiries_assigned FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL
+    `);
+    
+    console.log('Creating inquiry_notes table...');
+    
+    // Staff replies and remarks on an inquiry
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS inquiry_notes (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        inquiry_id INT NOT NULL,
+        user_id INT NULL,
+        note TEXT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_inquiry_notes_inquiry (inquiry_id, createdAt),
+        FOREIGN KEY (inquiry_id) REFERENCES inquiries(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+    `);
+    
+    // Staff handle inquiries; admins hold every permission already
+    await db.query(`
+      INSERT IGNORE INTO role_permissions (role, permission)
+      SELECT name, permission FROM roles
+      CROSS JOIN (SELECT 'inquiries:read' as permission UNION SELECT 'inquiries:write') p
+      WHERE name = 'staff'
+    `);
+    
+    console.log('✅ Inquiry workflow added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding inquiry workflow:', error.message);
+    process.exit(1);
+  }
+}
+
+addInquiryWorkflow();
@@ -0,0 +1,22 @@
+const db = require('../database');
+
+async function addInquiryOrderLink() {
+  try {
+    console.log('Linking inquiries to the orders they were converted into...');
+    
+    await db.query(`
+      ALTER TABLE inquiries 
+      ADD COLUMN order_id INT NULL AFTER assigned_to,
+      ADD INDEX idx_inquiries_order (order_id),
+      ADD CONSTRAINT fk_inquiries_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+    `);
+    
+    console.log('✅ Inquiry order link added successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding inquiry order link:', error.message);
+    process.exit(1);
+  }
+}
+
+addInquiryOrderLink();
@@ -0,0 +1,21 @@
+const { purgeDeleted, getSoftDeleteConfig } = require('./src/utils/softDelete');
+
+// Permanently remove soft deleted rows past the retention window (for cron, with
+// SOFT_DELETE_PURGE_INTERVAL_HOURS=0 on the server)
+async function purge() {
+  try {
+    const { retentionDays } = getSoftDeleteConfig();
+    console.log(`Purging rows deleted more than ${retentionDays} days ago...`);
+    
+    const purged = await purgeDeleted(retentionDays);
+    Object.entries(purged).forEach(([table, count]) => console.log(`${table}: ${count} removed`));
+    
+    console.log('✅ Purge completed successfully!');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error purging deleted rows:', error.message);
+    process.exit(1);
+  }
+}
+
+purge();
@@ -1,6 +1,7 @@
 const mysql = require('mysql2/promise');
 const bcrypt = require('bcryptjs');
 const dotenv = require('dotenv');
+const { DEFAULT_ROLES, ADMIN_ROLE } = require('../src/utils/permissions');
 
 dotenv.config();
 
@@ -26,9 +27,55 @@ const createDatabase = async () => {
 
     // Drop tables if exists (for clean seed)
     console.log('Dropping existing tables...');
+    await connection.query('DROP TABLE IF EXISTS inquiry_notes');
+    await connection.query('DROP TABLE IF EXISTS inquiries');
+    await connection.query('DROP TABLE IF EXISTS login_attempts');
+    await connection.query('DROP TABLE IF EXISTS password_reset_tokens');
+    await connection.query('DROP TABLE IF EXISTS user_recovery_codes');
+    await connection.query('DROP TABLE IF EXISTS audit_log');
+    await connection.query('DROP TABLE IF EXISTS refresh_tokens');
+    await connection.query('DROP TABLE IF EXISTS revoked_tokens');
+    await connection.query('DROP TABLE IF EXISTS stock_movements');
+    await connection.query('DROP TABLE IF EXISTS order_status_history');
+    await connection.query('DROP TABLE IF EXISTS order_items');
     await connection.query('DROP TABLE IF EXISTS orders');
+    await connection.query('DROP TABLE IF EXISTS customers');
     await connection.query('DROP TABLE IF EXISTS products');
     await connection.query('DROP TABLE IF EXISTS users');
+    await connection.query('DROP TABLE IF EXISTS role_permissions');
+    await connection.query('DROP TABLE IF EXISTS roles');
+    await connection.query('DROP TABLE IF EXISTS id_sequences');
+
+    // Create roles and their permission sets
+    console.log('Creating roles tables...');
+    await connection.query(`
+      CREATE TABLE roles (
+        name VARCHAR(50) PRIMARY KEY,
+        description VARCHAR(255),
+        is_system BOOLEAN NOT NULL DEFAULT FALSE,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    await connection.query(`
+      CREATE TABLE role_permissions (
+        role VARCHAR(50) NOT NULL,
+        permission VARCHAR(50) NOT NULL,
+        PRIMARY KEY (role, permission),
+        FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `);
+
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+      await connection.query(
+        'INSERT INTO roles (name, description, is_system) VALUES (?, ?, ?)',
+        [name, role.description, name === ADMIN_ROLE]
+      );
+      await connection.query(
+        'INSERT INTO role_permissions (role, permission) VALUES ?',
+        [role.permissions.map(permission => [name, permission])]
+      );
+    }
 
     // Create users table
     console.log('Creating users table...');
@@ -38,9 +85,18 @@ const createDatabase = async () => {
         fullName VARCHAR(100) NOT NULL,
         email VARCHAR(100) UNIQUE NOT NULL,
         password VARCHAR(255) NOT NULL,
-        role ENUM('admin', 'staff') DEFAULT 'admin',
+        role VARCHAR(50) NOT NULL DEFAULT 'admin',
+        passwordChangedAt DATETIME NULL,
+        failedLoginCount INT NOT NULL DEFAULT 0,
+        lockedUntil DATETIME NULL,
+        totpSecret VARCHAR(64) NULL,
+        totpEnabledAt DATETIME NULL,
+        totpLastStep BIGINT NULL,
         createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deletedAt DATETIME NULL,
+        INDEX idx_users_deleted (deletedAt),
+        FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE
       )
     `);
 
@@ -56,6 +112,26 @@ const createDatabase = async () => {
         status ENUM('available', 'out-of-stock', 'discontinued') DEFAULT 'available',
         category VARCHAR(100),
         image VARCHAR(500),
+        stock_quantity INT NULL,
+        reorder_threshold INT NOT NULL DEFAULT 10,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deletedAt DATETIME NULL,
+        INDEX idx_products_deleted (deletedAt),
+        FULLTEXT INDEX ft_products_search (product_id, name, category, description)
+      )
+    `);
+
+    // Create customers table (one row per normalized mobile number)
+    console.log('Creating customers table...');
+    await connection.query(`
+      CREATE TABLE customers (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        fullName VARCHAR(100) NOT NULL,
+        mobile VARCHAR(20) UNIQUE NOT NULL,
+        address TEXT,
+        email VARCHAR(100),
+        notes TEXT,
         createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
       )
@@ -67,21 +143,239 @@ const createDatabase = async () => {
       CREATE TABLE orders (
         id INT PRIMARY KEY AUTO_INCREMENT,
         order_id VARCHAR(20) UNIQUE NOT NULL,
+        customer_id INT,
+        courier_id INT NULL,
         fullName VARCHAR(100) NOT NULL,
         address TEXT NOT NULL,
         mobile VARCHAR(15) NOT NULL,
         product_id VARCHAR(20),  -- FIXED: removed NOT NULL
         product_name VARCHAR(200) NOT NULL,
         quantity INT NOT NULL,
-        status ENUM('received', 'issued', 'sended', 'in-transit', 'delivered') DEFAULT 'received',
+        status ENUM('received', 'issued', 'sended', 'in-transit', 'delivered', 'cancelled', 'returned', 'rto') DEFAULT 'received',
+        reason_code VARCHAR(50),
         notes TEXT,
+        subtotal DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        delivery_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        discount DECIMAL(10, 2) NOT NULL DEFAULT 0,
         total_amount DECIMAL(10, 2),
         createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deletedAt DATETIME NULL,
+        INDEX idx_orders_customer (customer_id),
+        INDEX idx_orders_courier (courier_id),
+        INDEX idx_orders_deleted (deletedAt),
+        FULLTEXT INDEX ft_orders_search (order_id, mobile, fullName, address, notes),
+        FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+        FOREIGN KEY (courier_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create order items table
+    console.log('Creating order_items table...');
+    await connection.query(`
+      CREATE TABLE order_items (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        order_id INT NOT NULL,
+        product_id VARCHAR(20),
+        product_name VARCHAR(200) NOT NULL,
+        quantity INT NOT NULL,
+        unit_price DECIMAL(10, 2) NOT NULL,
+        line_total DECIMAL(10, 2) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_order_items_order (order_id),
+        INDEX idx_order_items_product (product_id),
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
         FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE SET NULL
       )
     `);
 
+    // Create order status history table
+    console.log('Creating order_status_history table...');
+    await connection.query(`
+      CREATE TABLE order_status_history (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        order_id INT NOT NULL,
+        from_status VARCHAR(20),
+        to_status VARCHAR(20) NOT NULL,
+        user_id INT,
+        reason_code VARCHAR(50),
+        note TEXT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_order_status_history_order (order_id, createdAt),
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create stock movements table
+    console.log('Creating stock_movements table...');
+    await connection.query(`
+      CREATE TABLE stock_movements (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        product_id VARCHAR(20) NOT NULL,
+        order_id INT,
+        type VARCHAR(20) NOT NULL,
+        quantity_change INT NOT NULL,
+        balance_after INT NOT NULL,
+        user_id INT,
+        note TEXT,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_stock_movements_product (product_id, createdAt),
+        FOREIGN KEY (product_id) REFERENCES products(product_id) ON DELETE CASCADE ON UPDATE CASCADE,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create identifier sequences table (order/product numbers)
+    console.log('Creating id_sequences table...');
+    await connection.query(`
+      CREATE TABLE id_sequences (
+        name VARCHAR(50) NOT NULL,
+        period VARCHAR(8) NOT NULL DEFAULT '',
+        value INT NOT NULL,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (name, period)
+      )
+    `);
+
+    // Create refresh tokens table (hashed, rotating; family_id groups one login's tokens)
+    console.log('Creating refresh_tokens table...');
+    await connection.query(`
+      CREATE TABLE refresh_tokens (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        family_id CHAR(36) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME NULL,
+        replaced_by INT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_refresh_tokens_user (user_id),
+        INDEX idx_refresh_tokens_family (family_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create revoked access tokens table (jti blacklist)
+    console.log('Creating revoked_tokens table...');
+    await connection.query(`
+      CREATE TABLE revoked_tokens (
+        jti CHAR(36) PRIMARY KEY,
+        expires_at DATETIME NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_revoked_tokens_expires (expires_at)
+      )
+    `);
+
+    // Create failed login audit table
+    console.log('Creating login_attempts table...');
+    await connection.query(`
+      CREATE TABLE login_attempts (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NULL,
+        identifier VARCHAR(255) NOT NULL,
+        ip VARCHAR(45) NOT NULL,
+        user_agent VARCHAR(255),
+        reason VARCHAR(30) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_login_attempts_ip (ip, createdAt),
+        INDEX idx_login_attempts_user (user_id, createdAt),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create password reset tokens table (hashed, single use)
+    console.log('Creating password_reset_tokens table...');
+    await connection.query(`
+      CREATE TABLE password_reset_tokens (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        requested_ip VARCHAR(45),
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_password_reset_tokens_user (user_id, createdAt),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create two-factor recovery codes table (hashed, single use)
+    console.log('Creating user_recovery_codes table...');
+    await connection.query(`
+      CREATE TABLE user_recovery_codes (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_recovery_codes_user (user_id, code_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create audit log table (append only; kept when the acting user is deleted)
+    console.log('Creating audit_log table...');
+    await connection.query(`
+      CREATE TABLE audit_log (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NULL,
+        entity VARCHAR(30) NOT NULL,
+        entity_id VARCHAR(64) NULL,
+        action VARCHAR(30) NOT NULL,
+        before_data JSON NULL,
+        after_data JSON NULL,
+        ip VARCHAR(45),
+        request_id VARCHAR(64),
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_audit_log_entity (entity, entity_id, createdAt),
+        INDEX idx_audit_log_user (user_id, createdAt),
+        INDEX idx_audit_log_created (createdAt),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create inquiries table (contact form submissions and their workflow)
+    console.log('Creating inquiries table...');
+    await connection.query(`
+      CREATE TABLE inquiries (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        message TEXT NOT NULL,
+        name VARCHAR(255) DEFAULT '',
+        email VARCHAR(255) DEFAULT '',
+        mobile VARCHAR(20) DEFAULT '',
+        status ENUM('pending', 'in-progress', 'resolved', 'closed') DEFAULT 'pending',
+        assigned_to INT NULL,
+        order_id INT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deletedAt DATETIME NULL,
+        INDEX idx_inquiries_deleted (deletedAt),
+        INDEX idx_inquiries_assigned (assigned_to),
+        INDEX idx_inquiries_order (order_id),
+        FULLTEXT INDEX ft_inquiries_search (mobile, email, name, message),
+        FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create inquiry notes table (staff replies and remarks)
+    console.log('Creating inquiry_notes table...');
+    await connection.query(`
+      CREATE TABLE inquiry_notes (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        inquiry_id INT NOT NULL,
+        user_id INT NULL,
+        note TEXT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_inquiry_notes_inquiry (inquiry_id, createdAt),
+        FOREIGN KEY (inquiry_id) REFERENCES inquiries(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
     // Insert admin user
     console.log('Inserting admin user...');
     const hashedPassword = await bcrypt.hash('admin123', 10);
@@ -127,7 +421,7 @@ const createDatabase = async () => {
         order_id: 'ORD20251213001',
         fullName: 'Kamal Perera',
         address: '123 Main Street, Colombo',
-        mobile: '94701234567',
+        mobile: '+94701234567',
         product_id: 'PROD001',
         product_name: 'NIRVAAN 5KG (100% PURE COCONUT OIL)',
         quantity: 2,
@@ -138,11 +432,18 @@ const createDatabase = async () => {
     ];
 
     for (const order of orders) {
-      await connection.query(`
-        INSERT INTO orders (order_id, fullName, address, mobile, product_id, product_name, quantity, status, total_amount)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      const [customer] = await connection.query(`
+        INSERT INTO customers (fullName, mobile, address)
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)
+      `, [order.fullName, order.mobile, order.address]);
+
+      const [result] = await connection.query(`
+        INSERT INTO orders (order_id, customer_id, fullName, address, mobile, product_id, product_name, quantity, status, subtotal, total_amount)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         order.order_id,
+        customer.insertId,
         order.fullName,
         order.address,
         order.mobile,
@@ -150,8 +451,26 @@ const createDatabase = async () => {
         order.product_name,
         order.quantity,
         order.status,
+        order.total_amount,
         order.total_amount
       ]);
+
+      await connection.query(`
+        INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, line_total)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        result.insertId,
+        order.product_id,
+        order.product_name,
+        order.quantity,
+        order.total_amount / order.quantity,
+        order.total_amount
+      ]);
+
+      await connection.query(`
+        INSERT INTO order_status_history (order_id, from_status, to_status)
+        VALUES (?, NULL, ?)
+      `, [result.insertId, order.status]);
     }
 
     console.log('✅ Database seeded successfully!');
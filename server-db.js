@@ -9,6 +9,31 @@ const Order = require('./src/models/Order');
 const Product = require('./src/models/Product');
 const User = require('./src/models/User');
 const Inquiry = require('./src/models/Inquiry');
+const Search = require('./src/models/Search');
+const RefreshToken = require('./src/models/RefreshToken');
+const { 
+  isValidStatus, 
+  canTransition, 
+  requiresReason, 
+  isValidReason, 
+  describeLifecycle, 
+  ORDER_STATUSES, 
+  STATUS_REASONS 
+} = require('./src/utils/orderStatus');
+const { parsePagination, paginationMeta } = require('./src/utils/pagination');
+const { buildOrderFilters, buildOrderSort } = require('./src/utils/orderFilters');
+const { buildProductFilters, buildProductSort } = require('./src/utils/productFilters');
+const { recordAudit } = require('./src/utils/audit');
+const { schedulePurge } = require('./src/utils/softDelete');
+const { isValidInquiryStatus, canTransitionInquiry } = require('./src/utils/inquiryStatus');
+const requestId = require('./src/middlewares/requestId');
+const authController = require('./src/controllers/authController');
+const {
+  loginValidation,
+  twoFactorLoginValidation,
+  queryValidation,
+  productQueryValidation
+} = require('./src/utils/validation');
 
 // Load environment variables
 dotenv.config();
@@ -21,6 +46,7 @@ app.use(compression());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(requestId);
 
 // Request logging (only in development)
 if (process.env.NODE_ENV === 'development') {
@@ -110,69 +136,43 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
-// Auth routes with validation
-app.post('/api/auth/login', async (req, res) => {
+// Auth routes: the same login as the API (per-IP limit, account lockout and attempt audit).
+// Users with 2FA get a challenge from /login and their tokens from /login/2fa.
+app.post('/api/auth/login', loginValidation, authController.login);
+app.post('/api/auth/login/2fa', twoFactorLoginValidation, authController.loginTwoFactor);
+
+// Exchange a refresh token for a new access token and refresh token
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { refreshToken } = req.body;
     
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email and password are required'
-      });
-    }
-
-    if (typeof email !== 'string' || typeof password !== 'string') {
+    if (!refreshToken || typeof refreshToken !== 'string') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid input format'
+        message: 'Refresh token is required'
       });
     }
     
-    // Try database first
-    try {
-      const user = await User.findByEmail(email);
-      if (user && await User.comparePassword(password, user.password)) {
-        const token = User.generateToken(user);
-        res.json({
-          success: true,
-          token,
-          user: {
-            id: user.id,
-            fullName: user.fullName,
-            email: user.email,
-            role: user.role
-          }
-        });
-        return;
-      }
-    } catch (dbError) {
-      // Silent fallback to default credentials
-    }
+    const rotated = await RefreshToken.rotate(refreshToken);
+    const user = await User.findById(rotated.userId);
     
-    // Fallback authentication
-    if (email === 'admin@nirvaan.lk' && password === 'admin123') {
-      res.json({
-        success: true,
-        token: 'test-jwt-token',
-        user: {
-          id: 1,
-          fullName: 'Admin User',
-          email: 'admin@nirvaan.lk',
-          role: 'admin'
-        }
-      });
-    } else {
-      res.status(401).json({
+    if (!user) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'User not found'
       });
     }
+    
+    res.json({
+      success: true,
+      token: User.generateToken(user),
+      refreshToken: rotated.token,
+      refreshTokenExpiresAt: rotated.expiresAt
+    });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Login failed'
+      message: error.statusCode ? error.message : 'Token refresh failed'
     });
   }
 });
@@ -190,6 +190,9 @@ app.get('/api/dashboard/stats', async (req, res) => {
       received: parseInt(stats.received) || 0,
       issued: parseInt(stats.issued) || 0,
       courier: parseInt(stats.courier) || 0,
+      cancelled: parseInt(stats.cancelled) || 0,
+      returned: parseInt(stats.returned) || 0,
+      rto: parseInt(stats.rto) || 0,
       today: parseInt(stats.today) || 0,
       monthly: parseInt(stats.monthly) || 0,
       database_status: 'connected'
@@ -204,6 +207,9 @@ app.get('/api/dashboard/stats', async (req, res) => {
       received: 0,
       issued: 0,
       courier: 0,
+      cancelled: 0,
+      returned: 0,
+      rto: 0,
       today: 0,
       monthly: 0,
       database_status: 'disconnected'
@@ -212,21 +218,15 @@ app.get('/api/dashboard/stats', async (req, res) => {
 });
 
 // Orders routes with validation and optimization
-app.get('/api/orders', async (req, res) => {
+app.get('/api/orders', queryValidation, async (req, res) => {
   try {
-    const { status, search, startDate, endDate, limit } = req.query;
-    const filters = {};
+    const filters = buildOrderFilters(req.query);
+    const sort = buildOrderSort(req.query.sort);
     
-    if (status && status !== 'all') filters.status = status;
-    if (search) filters.search = search.trim();
-    if (startDate) filters.startDate = startDate;
-    if (endDate) filters.endDate = endDate;
-    if (limit) filters.limit = Math.min(parseInt(limit) || 100, 1000); // Max 1000
-    
-    const orders = await Order.getAll(filters);
+    const result = await Order.getPage(filters, parsePagination(req.query), sort);
     
     // Format orders efficiently
-    const formattedOrders = orders.map(order => ({
+    const formattedOrders = result.rows.map(order => ({
       ...order,
       product: order.product_name || 'Herbal Cream',
       quantity: String(order.quantity)
@@ -235,18 +235,26 @@ app.get('/api/orders', async (req, res) => {
     res.json({
       success: true,
       data: formattedOrders,
-      count: formattedOrders.length,
+      ...paginationMeta(result),
       database_status: 'connected'
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch orders',
+      message: error.statusCode ? error.message : 'Failed to fetch orders',
       database_status: 'disconnected'
     });
   }
 });
 
+// Order lifecycle
+app.get('/api/orders/statuses', (req, res) => {
+  res.json({
+    success: true,
+    data: describeLifecycle()
+  });
+});
+
 // Get single order by ID with validation
 app.get('/api/orders/:id', async (req, res) => {
   try {
@@ -302,6 +310,7 @@ app.post('/api/orders', async (req, res) => {
     }
 
     const newOrder = await Order.create(orderData);
+    await recordAudit(req, { entity: 'order', entityId: newOrder.id, action: 'create', after: newOrder });
     
     res.status(201).json({
       success: true,
@@ -310,7 +319,7 @@ app.post('/api/orders', async (req, res) => {
       database_status: 'connected'
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || 'Failed to create order'
     });
@@ -320,7 +329,7 @@ app.post('/api/orders', async (req, res) => {
 // Update order status with validation
 app.put('/api/orders/:id/status', async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
     const orderId = parseInt(req.params.id);
     
     if (isNaN(orderId) || orderId < 1) {
@@ -331,23 +340,42 @@ app.put('/api/orders/:id/status', async (req, res) => {
     }
     
     // Validate status
-    const validStatuses = ['received', 'received', 'issued', 'sended', 'in-transit', 'delivered', 'cancelled'];
-    if (!status || !validStatuses.includes(status)) {
+    if (!status || !isValidStatus(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status. Valid statuses: ' + validStatuses.join(', ')
+        message: 'Invalid status. Valid statuses: ' + ORDER_STATUSES.join(', ')
       });
     }
     
-    const updatedOrder = await Order.updateStatus(orderId, status);
+    if (requiresReason(status) && !isValidReason(status, reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `A valid reason is required for ${status}: ${STATUS_REASONS[status].join(', ')}`
+      });
+    }
     
-    if (!updatedOrder) {
+    const order = await Order.findById(orderId);
+    
+    if (!order) {
       return res.status(404).json({
         success: false,
         message: 'Order not found'
       });
     }
     
+    if (!canTransition(order.status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status transition from ${order.status} to ${status}`
+      });
+    }
+    
+    const updatedOrder = await Order.updateStatus(orderId, status, {
+      reasonCode: reason || null,
+      note: req.body.note
+    });
+    await recordAudit(req, { entity: 'order', entityId: order.id, action: 'status_change', before: order, after: updatedOrder });
+    
     res.json({
       success: true,
       message: 'Order status updated successfully',
@@ -365,7 +393,26 @@ app.put('/api/orders/:id/status', async (req, res) => {
 // Update entire order
 app.put('/api/orders/:id', async (req, res) => {
   try {
-    const updatedOrder = await Order.update(req.params.id, req.body);
+    const { status } = req.body;
+    const order = await Order.findById(req.params.id);
+    
+    if (order && status !== undefined) {
+      if (status !== order.status && !canTransition(order.status, status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status transition from ${order.status} to ${status}`
+        });
+      }
+      
+      if (status !== order.status && requiresReason(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use the status endpoint with a reason to cancel or return an order'
+        });
+      }
+    }
+    
+    const updatedOrder = order ? await Order.update(req.params.id, req.body) : null;
     
     if (!updatedOrder) {
       return res.status(404).json({
@@ -374,6 +421,8 @@ app.put('/api/orders/:id', async (req, res) => {
       });
     }
     
+    await recordAudit(req, { entity: 'order', entityId: order.id, action: 'update', before: order, after: updatedOrder });
+    
     res.json({
       success: true,
       message: 'Order updated successfully',
@@ -390,7 +439,13 @@ app.put('/api/orders/:id', async (req, res) => {
 // Delete order
 app.delete('/api/orders/:id', async (req, res) => {
   try {
+    const order = await Order.findById(req.params.id);
     await Order.delete(req.params.id);
+    
+    if (order) {
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'delete', before: order });
+    }
+    
     res.json({
       success: true,
       message: 'Order deleted successfully'
@@ -403,24 +458,74 @@ app.delete('/api/orders/:id', async (req, res) => {
   }
 });
 
+// Restore a deleted order
+app.post('/api/orders/:id/restore', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id, { includeDeleted: true });
+    
+    if (!order || !order.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted order not found'
+      });
+    }
+    
+    const restored = await Order.restore(req.params.id);
+    await recordAudit(req, { entity: 'order', entityId: order.id, action: 'restore', before: order, after: restored });
+    
+    res.json({
+      success: true,
+      message: 'Order restored successfully',
+      data: restored
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to restore order'
+    });
+  }
+});
+
 // Products routes
-app.get('/api/products', async (req, res) => {
+app.get('/api/products', productQueryValidation, async (req, res) => {
   try {
-    const products = await Product.getAll();
+    const result = await Product.getPage(
+      buildProductFilters(req.query),
+      parsePagination(req.query),
+      buildProductSort(req.query.sort)
+    );
     res.json({
       success: true,
-      data: products,
+      data: result.rows,
+      ...paginationMeta(result),
       database_status: 'connected'
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch products',
+      message: error.statusCode ? error.message : 'Failed to fetch products',
       database_status: 'disconnected'
     });
   }
 });
 
+// Products at or below their reorder threshold
+app.get('/api/products/low-stock', async (req, res) => {
+  try {
+    const products = await Product.getLowStock();
+    res.json({
+      success: true,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch low-stock products'
+    });
+  }
+});
+
 // Analytics routes
 app.get('/api/analytics', async (req, res) => {
   try {
@@ -462,20 +567,19 @@ app.get('/api/analytics', async (req, res) => {
 // Courier routes
 app.get('/api/courier/orders', async (req, res) => {
   try {
-    const orders = await Order.getAll();
-    const courierOrders = orders.filter(o => 
-      o.status === 'sended' || 
-      o.status === 'in-transit' || 
-      o.status === 'delivered'
+    const result = await Order.getPage(
+      { status: ['sended', 'in-transit', 'delivered'] },
+      parsePagination(req.query)
     );
     
     res.json({
       success: true,
-      data: courierOrders,
+      data: result.rows,
+      ...paginationMeta(result),
       database_status: 'connected'
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to fetch courier orders',
       database_status: 'disconnected'
@@ -483,6 +587,48 @@ app.get('/api/courier/orders', async (req, res) => {
   }
 });
 
+// Search orders, products and inquiries
+app.get('/api/search', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const types = String(req.query.types || '').split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.filter(type => !Search.getTypes().includes(type));
+    
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required'
+      });
+    }
+    
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown search types: ${unknown.join(', ')}`
+      });
+    }
+    
+    const { terms, engine, results } = await Search.search(query, {
+      types: types.length > 0 ? types : Search.getTypes(),
+      limit: req.query.limit
+    });
+    
+    res.json({
+      success: true,
+      query,
+      terms,
+      engine,
+      count: results.length,
+      data: results
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Search failed'
+    });
+  }
+});
+
 // Database status endpoint
 app.get('/api/database/status', async (req, res) => {
   try {
@@ -520,13 +666,15 @@ app.get('/api/database/status', async (req, res) => {
 // Inquiry routes
 app.get('/api/inquiries', async (req, res) => {
   try {
-    const inquiries = await Inquiry.getAll();
+    const filters = req.query.status && req.query.status !== 'all' ? { status: req.query.status } : {};
+    const result = await Inquiry.getPage(filters, parsePagination(req.query));
     res.json({
       success: true,
-      data: inquiries
+      data: result.rows,
+      ...paginationMeta(result)
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to fetch inquiries'
     });
@@ -536,15 +684,16 @@ app.get('/api/inquiries', async (req, res) => {
 app.post('/api/inquiries', async (req, res) => {
   try {
     const inquiry = await Inquiry.create(req.body);
+    await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'create', after: inquiry });
     res.status(201).json({
       success: true,
       message: 'Inquiry submitted successfully',
       data: inquiry
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to submit inquiry'
+      message: error.statusCode ? error.message : 'Failed to submit inquiry'
     });
   }
 });
@@ -552,7 +701,33 @@ app.post('/api/inquiries', async (req, res) => {
 app.put('/api/inquiries/:id/status', async (req, res) => {
   try {
     const { status } = req.body;
+    
+    if (!isValidInquiryStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status'
+      });
+    }
+    
+    const before = await Inquiry.findById(req.params.id);
+    
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      });
+    }
+    
+    if (!canTransitionInquiry(before.status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status transition from ${before.status} to ${status}`
+      });
+    }
+    
     const inquiry = await Inquiry.updateStatus(req.params.id, status);
+    await recordAudit(req, { entity: 'inquiry', entityId: before.id, action: 'status_change', before, after: inquiry });
+    
     res.json({
       success: true,
       message: 'Inquiry status updated',
@@ -566,9 +741,58 @@ app.put('/api/inquiries/:id/status', async (req, res) => {
   }
 });
 
+// Convert an inquiry into an order (name, mobile and message are prefilled from the inquiry)
+app.post('/api/inquiries/:id/convert', async (req, res) => {
+  try {
+    const inquiry = await Inquiry.findById(req.params.id);
+    
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inquiry not found'
+      });
+    }
+    
+    // Only order contents come from the body; status and totals are never taken from a request
+    const { fullName, address, mobile, product_id, quantity, items, notes, discount } = req.body;
+    const orderData = {
+      fullName: fullName || inquiry.name,
+      address,
+      mobile: mobile || inquiry.mobile,
+      notes: notes ?? inquiry.message,
+      discount,
+      ...(Array.isArray(items) && items.length > 0
+        ? { items }
+        : { product_id, quantity: parseInt(quantity) })
+    };
+    
+    const order = await Order.create(orderData, { inquiryId: inquiry.id });
+    const after = await Inquiry.findById(inquiry.id);
+    await recordAudit(req, { entity: 'order', entityId: order.id, action: 'create', after: order });
+    await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'convert', before: inquiry, after });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Inquiry converted to order successfully',
+      data: { inquiry: after, order }
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to convert inquiry'
+    });
+  }
+});
+
 app.delete('/api/inquiries/:id', async (req, res) => {
   try {
+    const inquiry = await Inquiry.findById(req.params.id);
     await Inquiry.delete(req.params.id);
+    
+    if (inquiry) {
+      await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'delete', before: inquiry });
+    }
+    
     res.json({
       success: true,
       message: 'Inquiry deleted successfully'
@@ -581,6 +805,33 @@ app.delete('/api/inquiries/:id', async (req, res) => {
   }
 });
 
+app.post('/api/inquiries/:id/restore', async (req, res) => {
+  try {
+    const before = await Inquiry.findById(req.params.id, { includeDeleted: true });
+    const inquiry = await Inquiry.restore(req.params.id);
+    
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted inquiry not found'
+      });
+    }
+    
+    await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'restore', before, after: inquiry });
+    
+    res.json({
+      success: true,
+      message: 'Inquiry restored successfully',
+      data: inquiry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore inquiry'
+    });
+  }
+});
+
 // 404 handler
 app.use((req, res, next) => {
   res.status(404).json({
@@ -615,6 +866,9 @@ const server = initializeDatabase().then(() => {
     console.log('='.repeat(60) + '\n');
   });
 
+  // Permanently remove soft deleted rows past the retention window
+  schedulePurge();
+
   // Graceful shutdown
   const gracefulShutdown = (signal) => {
     console.log(`\n${signal} received. Starting graceful shutdown...`);
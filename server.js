@@ -4,6 +4,24 @@ const dotenv = require('dotenv');
 const compression = require('compression');
 const helmet = require('helmet');
 const db = require('./database');
+const { priceLine, calculateTotals } = require('./src/utils/pricing');
+const Product = require('./src/models/Product');
+const Customer = require('./src/models/Customer');
+const Sequence = require('./src/models/Sequence');
+const { normalizeMobile } = require('./src/utils/phone');
+const { recordAudit } = require('./src/utils/audit');
+const { schedulePurge } = require('./src/utils/softDelete');
+const requestId = require('./src/middlewares/requestId');
+const { 
+  isValidStatus, 
+  canTransition, 
+  requiresReason, 
+  isValidReason, 
+  describeLifecycle, 
+  ORDER_STATUSES, 
+  STATUS_REASONS, 
+  VOID_STATUSES 
+} = require('./src/utils/orderStatus');
 
 // Load environment variables
 dotenv.config();
@@ -16,6 +34,7 @@ app.use(compression());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(requestId);
 
 // Test database connection on startup
 db.testConnection().then(isConnected => {
@@ -52,7 +71,7 @@ app.post('/api/auth/login', async (req, res) => {
   
   try {
     // Check in database
-    const users = await db.query('SELECT * FROM users WHERE email = ?', [email]);
+    const users = await db.query('SELECT * FROM users WHERE email = ? AND deletedAt IS NULL', [email]);
     
     if (users.length === 0) {
       return res.status(401).json({
@@ -101,16 +120,20 @@ app.get('/api/dashboard/stats', async (req, res) => {
         SUM(CASE WHEN status = 'received' THEN 1 ELSE 0 END) as received,
         SUM(CASE WHEN status = 'issued' THEN 1 ELSE 0 END) as issued,
         SUM(CASE WHEN status IN ('sended', 'in-transit', 'delivered') THEN 1 ELSE 0 END) as courier,
+        SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
+        SUM(CASE WHEN status = 'returned' THEN 1 ELSE 0 END) as returned,
+        SUM(CASE WHEN status = 'rto' THEN 1 ELSE 0 END) as rto,
         SUM(CASE WHEN DATE(createdAt) = CURDATE() THEN 1 ELSE 0 END) as today,
         SUM(CASE WHEN MONTH(createdAt) = MONTH(CURDATE()) AND YEAR(createdAt) = YEAR(CURDATE()) THEN 1 ELSE 0 END) as monthly,
-        COALESCE(SUM(total_amount), 0) as revenue
+        COALESCE(SUM(CASE WHEN status NOT IN (?) THEN total_amount ELSE 0 END), 0) as revenue
       FROM orders
+      WHERE deletedAt IS NULL
     `;
     
-    const statsResult = await db.query(statsQuery);
+    const statsResult = await db.query(statsQuery, [VOID_STATUSES]);
     const stats = statsResult[0] || {
-      total: 0, pending: 0, received: 0, issued: 0, 
-      courier: 0, today: 0, monthly: 0, revenue: 0
+      total: 0, pending: 0, received: 0, issued: 0, courier: 0, 
+      cancelled: 0, returned: 0, rto: 0, today: 0, monthly: 0, revenue: 0
     };
     
     res.json({
@@ -129,7 +152,7 @@ app.get('/api/dashboard/stats', async (req, res) => {
 // Orders routes with MySQL
 app.get('/api/orders', async (req, res) => {
   try {
-    const orders = await db.query('SELECT * FROM orders ORDER BY createdAt DESC');
+    const orders = await db.query('SELECT * FROM orders WHERE deletedAt IS NULL ORDER BY createdAt DESC');
     res.json({
       success: true,
       data: orders
@@ -143,9 +166,17 @@ app.get('/api/orders', async (req, res) => {
   }
 });
 
+// Order lifecycle (statuses and allowed transitions)
+app.get('/api/orders/statuses', (req, res) => {
+  res.json({
+    success: true,
+    data: describeLifecycle()
+  });
+});
+
 app.get('/api/orders/:id', async (req, res) => {
   try {
-    const orders = await db.query('SELECT * FROM orders WHERE id = ?', [req.params.id]);
+    const orders = await db.query('SELECT * FROM orders WHERE id = ? AND deletedAt IS NULL', [req.params.id]);
     
     if (orders.length === 0) {
       return res.status(404).json({
@@ -183,36 +214,39 @@ app.post('/api/orders', async (req, res) => {
       });
     }
     
-    // Generate UNIQUE order ID
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    // FIXED: Generate unique order ID using timestamp to avoid conflicts
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 1000);
-    const order_id = `ORD${year}${month}${day}${timestamp.toString().slice(-6)}${random}`;
-    
-    // Get product details
-    const products = await db.query('SELECT * FROM products WHERE product_id = ?', ['PROD001']);
-    const productDetails = products[0] || {
-      product_id: 'PROD001',
-      name: 'NIRVAAN 5KG (100% PURE COCONUT OIL)',
-      price: 10000
-    };
+    const normalizedMobile = normalizeMobile(mobile);
+    if (!normalizedMobile) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid mobile number'
+      });
+    }
+    
+    // Get product details (prices only ever come from the products table)
+    const products = await db.query('SELECT * FROM products WHERE product_id = ? AND deletedAt IS NULL', ['PROD001']);
+    const productDetails = products[0];
+    
+    if (!productDetails) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product not found: PROD001'
+      });
+    }
+    
+    // Price the line server-side
+    const line = priceLine(productDetails, parseInt(quantity) || 1);
+    const totals = calculateTotals([line]);
     
     // Create new order
     const orderData = {
-      order_id,
       fullName: fullName.trim(),
       address: address.trim(),
-      mobile: mobile.replace(/[\s\-]/g, ''),
+      mobile: normalizedMobile,
       product_id: productDetails.product_id,
       product_name: productDetails.name,
-      quantity: parseInt(quantity) || 1,
+      quantity: line.quantity,
       status: 'received',
-      total_amount: productDetails.price * (parseInt(quantity) || 1),
+      ...totals,
       createdAt: new Date(),
       updatedAt: new Date()
     };
@@ -222,34 +256,67 @@ app.post('/api/orders', async (req, res) => {
     // Insert into database
     const insertQuery = `
       INSERT INTO orders 
-      (order_id, fullName, address, mobile, product_id, product_name, quantity, status, total_amount, createdAt, updatedAt)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (order_id, customer_id, fullName, address, mobile, product_id, product_name, quantity, status, 
+       subtotal, delivery_fee, discount, total_amount, createdAt, updatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
-    const result = await db.query(insertQuery, [
-      orderData.order_id,
-      orderData.fullName,
-      orderData.address,
-      orderData.mobile,
-      orderData.product_id,
-      orderData.product_name,
-      orderData.quantity,
-      orderData.status,
-      orderData.total_amount,
-      orderData.createdAt,
-      orderData.updatedAt
-    ]);
+    // Insert the order and take stock in one transaction so an oversell leaves nothing behind.
+    // The order number comes from the per-day sequence and is retried if already taken.
+    const result = await Sequence.withIdentifier('order', (order_id) => db.transaction(async (conn) => {
+      const customerId = await Customer.findOrCreate(orderData, conn);
+      
+      const inserted = await conn.query(insertQuery, [
+        order_id,
+        customerId,
+        orderData.fullName,
+        orderData.address,
+        orderData.mobile,
+        orderData.product_id,
+        orderData.product_name,
+        orderData.quantity,
+        orderData.status,
+        orderData.subtotal,
+        orderData.delivery_fee,
+        orderData.discount,
+        orderData.total_amount,
+        orderData.createdAt,
+        orderData.updatedAt
+      ]);
+      
+      await conn.query(`
+        INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, line_total)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        inserted.insertId,
+        orderData.product_id,
+        orderData.product_name,
+        line.quantity,
+        line.unit_price,
+        line.line_total
+      ]);
+      
+      await Product.reserveStock([line], { orderId: inserted.insertId }, conn);
+      
+      await conn.query(
+        'INSERT INTO order_status_history (order_id, from_status, to_status) VALUES (?, NULL, ?)',
+        [inserted.insertId, orderData.status]
+      );
+      
+      return inserted;
+    }));
     
     console.log('✅ Database insert result:', result);
     
     // Get the inserted order
-    const newOrder = await db.query('SELECT * FROM orders WHERE order_id = ?', [order_id]);
+    const newOrder = await db.query('SELECT * FROM orders WHERE id = ?', [result.insertId]);
     
     if (newOrder.length === 0) {
       throw new Error('Failed to retrieve created order');
     }
     
     console.log('✅ Order created successfully:', newOrder[0]);
+    await recordAudit(req, { entity: 'order', entityId: newOrder[0].id, action: 'create', after: newOrder[0] });
     
     res.status(201).json({
       success: true,
@@ -269,6 +336,14 @@ app.post('/api/orders', async (req, res) => {
       });
     }
     
+    // Out of stock / discontinued
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Error creating order',
@@ -282,7 +357,7 @@ app.post('/api/orders', async (req, res) => {
 app.put('/api/orders/:id/status', async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
     if (!status) {
       return res.status(400).json({
@@ -291,18 +366,57 @@ app.put('/api/orders/:id/status', async (req, res) => {
       });
     }
     
-    const updateQuery = 'UPDATE orders SET status = ?, updatedAt = NOW() WHERE id = ?';
-    const updateResult = await db.query(updateQuery, [status, id]);
+    if (!isValidStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Valid statuses: ' + ORDER_STATUSES.join(', ')
+      });
+    }
+    
+    if (requiresReason(status) && !isValidReason(status, reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `A valid reason is required for ${status}: ${STATUS_REASONS[status].join(', ')}`
+      });
+    }
+    
+    const existing = await db.query('SELECT * FROM orders WHERE id = ? AND deletedAt IS NULL', [id]);
     
-    if (updateResult.affectedRows === 0) {
+    if (existing.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'Order not found'
       });
     }
     
+    if (!canTransition(existing[0].status, status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status transition from ${existing[0].status} to ${status}`
+      });
+    }
+    
+    await db.transaction(async (conn) => {
+      await conn.query(
+        'UPDATE orders SET status = ?, reason_code = ?, updatedAt = NOW() WHERE id = ?',
+        [status, reason || null, id]
+      );
+      
+      // Cancelled, returned and rto orders put their stock back
+      if (VOID_STATUSES.includes(status)) {
+        const items = await conn.query('SELECT product_id, quantity FROM order_items WHERE order_id = ?', [id]);
+        await Product.releaseStock(items, { orderId: id, note: reason }, conn);
+      }
+      
+      await conn.query(
+        'INSERT INTO order_status_history (order_id, from_status, to_status, reason_code, note) VALUES (?, ?, ?, ?, ?)',
+        [id, existing[0].status, status, reason || null, req.body.note || null]
+      );
+    });
+    
     // Get updated order
     const orders = await db.query('SELECT * FROM orders WHERE id = ?', [id]);
+    await recordAudit(req, { entity: 'order', entityId: id, action: 'status_change', before: existing[0], after: orders[0] });
     
     res.json({
       success: true,
@@ -321,7 +435,7 @@ app.put('/api/orders/:id/status', async (req, res) => {
 // Products routes with MySQL
 app.get('/api/products', async (req, res) => {
   try {
-    const products = await db.query('SELECT * FROM products ORDER BY id');
+    const products = await db.query('SELECT * FROM products WHERE deletedAt IS NULL ORDER BY id');
     res.json({
       success: true,
       data: products
@@ -339,11 +453,14 @@ app.get('/api/products', async (req, res) => {
 app.get('/api/analytics', async (req, res) => {
   try {
     // Get total revenue
-    const revenueResult = await db.query('SELECT COALESCE(SUM(total_amount), 0) as totalRevenue FROM orders');
+    const revenueResult = await db.query(
+      'SELECT COALESCE(SUM(total_amount), 0) as totalRevenue FROM orders WHERE status NOT IN (?) AND deletedAt IS NULL',
+      [VOID_STATUSES]
+    );
     const totalRevenue = revenueResult[0].totalRevenue;
     
     // Get order count
-    const countResult = await db.query('SELECT COUNT(*) as totalOrders FROM orders');
+    const countResult = await db.query('SELECT COUNT(*) as totalOrders FROM orders WHERE deletedAt IS NULL');
     const totalOrders = countResult[0].totalOrders;
     
     // Get status distribution
@@ -352,6 +469,7 @@ app.get('/api/analytics', async (req, res) => {
         status,
         COUNT(*) as count
       FROM orders 
+      WHERE deletedAt IS NULL
       GROUP BY status
     `);
     
@@ -385,7 +503,7 @@ app.get('/api/courier/orders', async (req, res) => {
   try {
     const orders = await db.query(`
       SELECT * FROM orders 
-      WHERE status IN ('sended', 'in-transit', 'delivered')
+      WHERE status IN ('sended', 'in-transit', 'delivered') AND deletedAt IS NULL
       ORDER BY updatedAt DESC
     `);
     
@@ -424,14 +542,24 @@ app.get('/api/inquiries', async (req, res) => {
 
 app.post('/api/inquiries', async (req, res) => {
   try {
+    const mobile = req.body.mobile ? normalizeMobile(req.body.mobile) : '';
+    if (mobile === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid mobile number'
+      });
+    }
+    
     const inquiry = {
       id: (inquiries.length + 1).toString(),
       ...req.body,
+      mobile,
       status: 'received',
       createdAt: new Date().toISOString()
     };
     
     inquiries.push(inquiry);
+    await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'create', after: inquiry });
     
     res.status(201).json({
       success: true,
@@ -452,6 +580,7 @@ app.get('/api/orders/recent', async (req, res) => {
   try {
     const orders = await db.query(`
       SELECT * FROM orders 
+      WHERE deletedAt IS NULL
       ORDER BY createdAt DESC 
       LIMIT 10
     `);
@@ -475,7 +604,7 @@ app.delete('/api/orders/:id', async (req, res) => {
     const { id } = req.params;
     
     // Check if order exists
-    const orders = await db.query('SELECT * FROM orders WHERE id = ?', [id]);
+    const orders = await db.query('SELECT * FROM orders WHERE id = ? AND deletedAt IS NULL', [id]);
     
     if (orders.length === 0) {
       return res.status(404).json({
@@ -484,8 +613,16 @@ app.delete('/api/orders/:id', async (req, res) => {
       });
     }
     
-    // Delete order
-    await db.query('DELETE FROM orders WHERE id = ?', [id]);
+    // Soft delete order, returning any stock it still holds
+    await db.transaction(async (conn) => {
+      if (!VOID_STATUSES.includes(orders[0].status)) {
+        const items = await conn.query('SELECT product_id, quantity FROM order_items WHERE order_id = ?', [id]);
+        await Product.releaseStock(items, { orderId: id, note: 'Order deleted' }, conn);
+      }
+      await conn.query('UPDATE orders SET deletedAt = NOW() WHERE id = ?', [id]);
+    });
+    
+    await recordAudit(req, { entity: 'order', entityId: id, action: 'delete', before: orders[0] });
     
     res.json({
       success: true,
@@ -505,7 +642,7 @@ app.get('/api/orders/filter', async (req, res) => {
   try {
     const { status, search, startDate, endDate } = req.query;
     
-    let sql = 'SELECT * FROM orders WHERE 1=1';
+    let sql = 'SELECT * FROM orders WHERE deletedAt IS NULL';
     const params = [];
     
     if (status && status !== 'all') {
@@ -516,7 +653,7 @@ app.get('/api/orders/filter', async (req, res) => {
     if (search) {
       sql += ' AND (fullName LIKE ? OR mobile LIKE ? OR order_id LIKE ?)';
       const searchTerm = `%${search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+      params.push(searchTerm, `%${normalizeMobile(search) || search}%`, searchTerm);
     }
     
     if (startDate && endDate) {
@@ -650,6 +787,9 @@ app.listen(PORT, async () => {
         console.log('⚠️  Could not count table data, tables may not exist');
       }
       
+      // Permanently remove soft deleted rows past the retention window
+      schedulePurge();
+      
     } else {
       console.log(`\n⚠️  Database Status:`);
       console.log(`❌ Database: Connection failed - check your MySQL configuration`);
@@ -1,4 +1,11 @@
-const { Order, Product } = require('../models');
+const { Order, Product, Inquiry } = require('../models');
+const { VOID_STATUSES } = require('../utils/orderStatus');
+
+// Percentage of inquiries converted into orders, rounded to two decimals
+const conversionRate = (converted, inquiries) => {
+  const total = parseInt(inquiries) || 0;
+  return total > 0 ? Math.round((parseInt(converted) || 0) / total * 10000) / 100 : 0;
+};
 
 class AnalyticsController {
   // Get comprehensive analytics
@@ -7,8 +14,9 @@ class AnalyticsController {
       const orders = await Order.getAll();
       const products = await Product.getAll();
       
-      // Calculate total revenue
-      const totalRevenue = orders.reduce((sum, order) => 
+      // Calculate total revenue (cancelled/returned/rto orders earn nothing)
+      const billableOrders = orders.filter(order => !VOID_STATUSES.includes(order.status));
+      const totalRevenue = billableOrders.reduce((sum, order) => 
         sum + parseFloat(order.total_amount || 0), 0
       );
       
@@ -32,8 +40,10 @@ class AnalyticsController {
         data: {
           totalRevenue,
           totalOrders: orders.length,
+          cancelledOrders: orders.filter(order => order.status === 'cancelled').length,
+          returnedOrders: orders.filter(order => ['returned', 'rto'].includes(order.status)).length,
           totalProducts: products.length,
-          averageOrderValue: orders.length > 0 ? totalRevenue / orders.length : 0,
+          averageOrderValue: billableOrders.length > 0 ? totalRevenue / billableOrders.length : 0,
           statusData,
           weeklyData,
           monthlyData: this.formatMonthlyData(monthlyData)
@@ -68,7 +78,7 @@ class AnalyticsController {
       const orderDate = new Date(order.createdAt);
       const dateStr = orderDate.toISOString().split('T')[0];
       
-      if (weeklyData[dateStr]) {
+      if (weeklyData[dateStr] && !VOID_STATUSES.includes(order.status)) {
         weeklyData[dateStr].orders++;
         weeklyData[dateStr].revenue += parseFloat(order.total_amount || 0);
       }
@@ -86,7 +96,9 @@ class AnalyticsController {
       name: months[item.month - 1],
       orders: item.order_count,
       revenue: parseFloat(item.revenue) || 0,
-      avgOrderValue: parseFloat(item.avg_order_value) || 0
+      avgOrderValue: parseFloat(item.avg_order_value) || 0,
+      cancelled: parseInt(item.cancelled_count) || 0,
+      returned: parseInt(item.returned_count) || 0
     }));
   }
 
@@ -134,7 +146,7 @@ class AnalyticsController {
             SUM(total_amount) as revenue,
             COUNT(*) as orders
           FROM orders 
-          WHERE createdAt >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
+          WHERE createdAt >= DATE_SUB(CURDATE(), INTERVAL 30 DAY) AND deletedAt IS NULL
           GROUP BY DATE(createdAt)
           ORDER BY date ASC
         `;
@@ -161,41 +173,50 @@ class AnalyticsController {
     try {
       const { query } = require('../../database');
       
-      // Get top customers by order value
+      // Get top customers by order value (one row per customer, however their name was typed)
       const topCustomersSQL = `
         SELECT 
-          fullName,
-          mobile,
-          COUNT(*) as order_count,
-          SUM(total_amount) as total_spent,
-          MAX(createdAt) as last_order_date
-        FROM orders 
-        GROUP BY fullName, mobile
+          c.id as customer_id,
+          c.fullName,
+          c.mobile,
+          COUNT(o.id) as order_count,
+          SUM(o.total_amount) as total_spent,
+          MAX(o.createdAt) as last_order_date
+        FROM customers c
+        JOIN orders o ON o.customer_id = c.id AND o.status NOT IN (?) AND o.deletedAt IS NULL
+        GROUP BY c.id, c.fullName, c.mobile
         ORDER BY total_spent DESC
         LIMIT 10
       `;
       
-      const topCustomers = await query(topCustomersSQL);
+      const topCustomers = await query(topCustomersSQL, [VOID_STATUSES]);
       
-      // Get customer acquisition over time
+      // Get customer acquisition over time (customers by date of first order)
       const acquisitionSQL = `
         SELECT 
-          DATE(createdAt) as date,
-          COUNT(DISTINCT CONCAT(fullName, mobile)) as new_customers
-        FROM orders 
-        WHERE createdAt >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
-        GROUP BY DATE(createdAt)
+          DATE(first_order) as date,
+          COUNT(*) as new_customers
+        FROM (
+          SELECT customer_id, MIN(createdAt) as first_order
+          FROM orders
+          WHERE customer_id IS NOT NULL AND deletedAt IS NULL
+          GROUP BY customer_id
+        ) firsts
+        WHERE first_order >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
+        GROUP BY DATE(first_order)
         ORDER BY date ASC
       `;
       
       const acquisitionData = await query(acquisitionSQL);
       
+      const totals = await query('SELECT COUNT(*) as count FROM customers');
+      
       res.status(200).json({
         success: true,
         data: {
           topCustomers,
           acquisitionData,
-          totalCustomers: topCustomers.length
+          totalCustomers: totals[0].count
         }
       });
       
@@ -209,27 +230,29 @@ class AnalyticsController {
     try {
       const { startDate, endDate } = req.query;
       
-      let sql = `
+      // Aggregate over line items; cancelled/returned/rto orders and the date range are
+      // applied in the join so products without sales are still listed
+      let orderJoin = 'LEFT JOIN orders o ON o.id = oi.order_id AND o.status NOT IN (?) AND o.deletedAt IS NULL';
+      const params = [VOID_STATUSES];
+      
+      if (startDate && endDate) {
+        orderJoin += ' AND DATE(o.createdAt) BETWEEN ? AND ?';
+        params.push(startDate, endDate);
+      }
+      
+      const sql = `
         SELECT 
           p.product_id,
           p.name,
           p.category,
           p.price,
-          COUNT(o.id) as order_count,
-          SUM(o.quantity) as total_quantity,
-          SUM(o.total_amount) as total_revenue
+          COUNT(DISTINCT o.id) as order_count,
+          COALESCE(SUM(CASE WHEN o.id IS NOT NULL THEN oi.quantity END), 0) as total_quantity,
+          COALESCE(SUM(CASE WHEN o.id IS NOT NULL THEN oi.line_total END), 0) as total_revenue
         FROM products p
-        LEFT JOIN orders o ON p.product_id = o.product_id
-      `;
-      
-      const params = [];
-      
-      if (startDate && endDate) {
-        sql += ` WHERE DATE(o.createdAt) BETWEEN ? AND ? `;
-        params.push(startDate, endDate);
-      }
-      
-      sql += `
+        LEFT JOIN order_items oi ON oi.product_id = p.product_id
+        ${orderJoin}
+        WHERE p.deletedAt IS NULL
         GROUP BY p.product_id, p.name, p.category, p.price
         ORDER BY total_revenue DESC
       `;
@@ -247,6 +270,40 @@ class AnalyticsController {
       next(error);
     }
   }
+
+  // Get inquiry → order conversion rates (overall or for inquiries received between startDate and endDate)
+  async getInquiryConversion(req, res, next) {
+    try {
+      const { startDate, endDate } = req.query;
+      
+      const stats = await Inquiry.getConversionStats({ startDate, endDate });
+      const monthlyData = await Inquiry.getMonthlyConversions();
+      
+      const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
+                     'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          totalInquiries: parseInt(stats.inquiries) || 0,
+          convertedInquiries: parseInt(stats.converted) || 0,
+          conversionRate: conversionRate(stats.converted, stats.inquiries),
+          billableOrders: parseInt(stats.billable_orders) || 0,
+          revenue: parseFloat(stats.revenue) || 0,
+          avgHoursToConvert: stats.avg_hours_to_convert === null ? null : parseFloat(stats.avg_hours_to_convert),
+          monthlyData: monthlyData.map(item => ({
+            name: months[item.month - 1],
+            inquiries: parseInt(item.inquiries) || 0,
+            converted: parseInt(item.converted) || 0,
+            conversionRate: conversionRate(item.converted, item.inquiries)
+          }))
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new AnalyticsController();
\ No newline at end of file
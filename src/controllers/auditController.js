@@ -0,0 +1,27 @@
+const { AuditLog } = require('../models');
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+
+class AuditController {
+  // Get audit log entries, newest first
+  async getAuditLog(req, res, next) {
+    try {
+      const { entity, entityId, userId, action, requestId, from, to } = req.query;
+      
+      const result = await AuditLog.getPage(
+        { entity, entityId, userId, action, requestId, from, to },
+        parsePagination(req.query)
+      );
+      
+      res.status(200).json({
+        success: true,
+        ...paginationMeta(result),
+        data: result.rows
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuditController();
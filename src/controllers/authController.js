@@ -1,6 +1,89 @@
-const { User } = require('../models');
-const { generateToken } = require('../utils/jwt');
+const { User, RefreshToken, RevokedToken, LoginAttempt, PasswordResetToken, RecoveryCode } = require('../models');
 const { validationResult } = require('express-validator');
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { getUserCacheStats } = require('../utils/userCache');
+const { getLoginConfig, getLoginDelay, sleep, secondsUntil } = require('../utils/loginProtection');
+const { checkPassword } = require('../utils/passwordPolicy');
+const { sendNotification } = require('../utils/notifier');
+const { recordAudit } = require('../utils/audit');
+const { includeDeleted } = require('../utils/softDelete');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+const {
+  getTwoFactorConfig,
+  isTwoFactorRequired,
+  generateChallengeToken,
+  verifyChallengeToken
+} = require('../utils/twoFactor');
+
+// A user can request at most one reset link per interval
+const RESET_REQUEST_INTERVAL_SECONDS = 60;
+
+// Short-lived access token plus a refresh token starting a new session
+const issueTokens = async (user) => {
+  const refreshToken = await RefreshToken.create(user.id);
+  
+  return {
+    token: User.generateToken(user),
+    refreshToken: refreshToken.token,
+    refreshTokenExpiresAt: refreshToken.expiresAt
+  };
+};
+
+// Reset message with a link built from PASSWORD_RESET_URL ({token} is replaced), or the bare token
+const buildResetMessage = (user, token, expiresAt) => {
+  const template = process.env.PASSWORD_RESET_URL;
+  const link = template ? template.replace('{token}', encodeURIComponent(token)) : null;
+  
+  return {
+    type: 'password_reset',
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.fullName},`,
+      '',
+      'A password reset was requested for your account.',
+      link ? `Open this link to choose a new password: ${link}` : `Your reset token: ${token}`,
+      `It expires at ${expiresAt.toISOString()} and can be used once.`,
+      '',
+      'If you did not request this, you can ignore this message.'
+    ].join('\n')
+  };
+};
+
+// 429 for a locked account, with the seconds until it unlocks
+const sendLocked = (res, lockedUntil) => {
+  res.set('Retry-After', String(secondsUntil(lockedUntil)));
+  return res.status(429).json({
+    success: false,
+    message: 'Account temporarily locked after too many failed login attempts'
+  });
+};
+
+// Accept a TOTP code (each time step only once) or, unless disallowed, an unused recovery code.
+// Returns the method that matched ('totp' or 'recovery_code') or null.
+const verifySecondFactor = async (user, code, { allowRecovery = true } = {}) => {
+  const step = verifyCode(user.totpSecret, code);
+  
+  if (step !== null) {
+    return (await User.useTotpStep(user.id, step)) ? 'totp' : null;
+  }
+  
+  if (allowRecovery && (await RecoveryCode.consume(user.id, code))) {
+    return 'recovery_code';
+  }
+  
+  return null;
+};
+
+const invalidTwoFactorCode = (res) => res.status(401).json({
+  success: false,
+  message: 'Invalid two-factor code'
+});
+
+const invalidResetToken = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid or expired reset token'
+});
 
 class AuthController {
   // User login
@@ -25,41 +108,146 @@ class AuthController {
         });
       }
       
-      const user = await User.findByEmailOrName(identifier);
+      const config = getLoginConfig();
       
-      if (!user) {
-        return res.status(401).json({
+      if (!email && !config.allowNameLogin) {
+        return res.status(400).json({
           success: false,
-          message: 'Invalid credentials'
+          message: 'Login by name is disabled, please use your email address'
         });
       }
       
-      // Check password
-      const isPasswordValid = await User.comparePassword(password, user.password);
+      const attempt = { identifier, ip: req.ip, userAgent: req.get('User-Agent') || null };
+      
+      // Too many failures from this address
+      const ipFailures = await LoginAttempt.countRecentByIp(req.ip, config.ipWindowMinutes);
+      if (ipFailures >= config.ipMaxAttempts) {
+        await LoginAttempt.record({ ...attempt, reason: 'ip_blocked' });
+        res.set('Retry-After', String(config.ipWindowMinutes * 60));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed login attempts, please try again later'
+        });
+      }
+      
+      const user = await User.findForLogin(identifier, { allowName: config.allowNameLogin });
+      
+      if (user && User.isLocked(user)) {
+        await LoginAttempt.record({ ...attempt, userId: user.id, reason: 'locked' });
+        return sendLocked(res, user.lockedUntil);
+      }
+      
+      // Each recent failure slows the next answer down
+      await sleep(getLoginDelay(Math.max(user ? user.failedLoginCount : 0, ipFailures)));
+      
+      const isPasswordValid = user ? await User.comparePassword(password, user.password) : false;
       
       if (!isPasswordValid) {
+        await LoginAttempt.record({
+          ...attempt,
+          userId: user ? user.id : null,
+          reason: user ? 'bad_password' : 'unknown_user'
+        });
+        
+        const status = user ? await User.registerFailedLogin(user.id, config) : null;
+        
+        if (status && User.isLocked(status)) {
+          return sendLocked(res, status.lockedUntil);
+        }
+        
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
       
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
+      // Password accepted; with 2FA the session starts only after POST /login/2fa.
+      // Failure counters stay as they are so wrong codes keep counting towards the lockout.
+      if (User.hasTwoFactor(user)) {
+        return res.status(200).json({
+          success: true,
+          message: 'Two-factor code required',
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user),
+          challengeExpiresIn: getTwoFactorConfig().challengeMinutes * 60
+        });
+      }
+      
+      if (user.failedLoginCount > 0 || user.lockedUntil) {
+        await User.resetFailedLogins(user.id);
+      }
       
-      // Generate token
-      const token = generateToken({
-        id: user.id,
-        email: user.email,
-        fullName: user.fullName,
-        role: user.role
+      // Generate tokens
+      const tokens = await issueTokens(user);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        ...tokens,
+        user: User.toPublic(user),
+        twoFactorSetupRequired: isTwoFactorRequired(user.role)
       });
       
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Second login step: exchange a challenge token and a TOTP or recovery code for tokens
+  async loginTwoFactor(req, res, next) {
+    try {
+      const { challengeToken, code } = req.body;
+      
+      const challenge = verifyChallengeToken(challengeToken);
+      const user = challenge && !(await RevokedToken.isRevoked(challenge.jti))
+        ? await User.findById(challenge.id)
+        : null;
+      
+      if (!user || !User.hasTwoFactor(user)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired challenge, please log in again'
+        });
+      }
+      
+      const config = getLoginConfig();
+      const attempt = { userId: user.id, identifier: user.email, ip: req.ip, userAgent: req.get('User-Agent') || null };
+      
+      if (User.isLocked(user)) {
+        await LoginAttempt.record({ ...attempt, reason: 'locked' });
+        return sendLocked(res, user.lockedUntil);
+      }
+      
+      await sleep(getLoginDelay(user.failedLoginCount));
+      
+      const method = await verifySecondFactor(user, code);
+      
+      if (!method) {
+        await LoginAttempt.record({ ...attempt, reason: 'bad_2fa_code' });
+        const status = await User.registerFailedLogin(user.id, config);
+        
+        if (status && User.isLocked(status)) {
+          return sendLocked(res, status.lockedUntil);
+        }
+        
+        return invalidTwoFactorCode(res);
+      }
+      
+      // Challenges are single use
+      await RevokedToken.revoke(challenge.jti, new Date(challenge.exp * 1000));
+      
+      if (user.failedLoginCount > 0 || user.lockedUntil) {
+        await User.resetFailedLogins(user.id);
+      }
+      
+      const tokens = await issueTokens(user);
+      
       res.status(200).json({
         success: true,
         message: 'Login successful',
-        token,
-        user: userWithoutPassword
+        ...tokens,
+        user: User.toPublic(user),
+        ...(method === 'recovery_code' && { recoveryCodesRemaining: await RecoveryCode.countRemaining(user.id) })
       });
       
     } catch (error) {
@@ -81,26 +269,24 @@ class AuthController {
       
       const { fullName, email, password, role = 'staff' } = req.body;
       
-      // Check if user already exists
-      const existingUser = await User.findByEmailOrName(email);
+      // Check if user already exists (a deleted user keeps their email until purged)
+      const existingUser = await User.findByEmailOrName(email, { includeDeleted: true });
       if (existingUser) {
         return res.status(400).json({
           success: false,
-          message: 'User already exists'
+          message: existingUser.deletedAt ? 'A deleted user has this email, restore them instead' : 'User already exists'
         });
       }
       
       // Create user
       const userId = await User.create({ fullName, email, password, role });
       const user = await User.findById(userId);
-      
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
+      await recordAudit(req, { entity: 'user', entityId: user.id, action: 'create', after: user });
       
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
-        user: userWithoutPassword
+        user: User.toPublic(user)
       });
       
     } catch (error) {
@@ -120,12 +306,9 @@ class AuthController {
         });
       }
       
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
-      
       res.status(200).json({
         success: true,
-        user: userWithoutPassword
+        user: User.toPublic(user)
       });
       
     } catch (error) {
@@ -164,6 +347,7 @@ class AuthController {
       if (fullName) updateData.fullName = fullName;
       if (email) updateData.email = email;
       
+      const before = await User.findById(userId);
       const updatedUser = await User.update(userId, updateData);
       
       if (!updatedUser) {
@@ -173,13 +357,12 @@ class AuthController {
         });
       }
       
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = updatedUser;
+      await recordAudit(req, { entity: 'user', entityId: userId, action: 'update', before, after: updatedUser });
       
       res.status(200).json({
         success: true,
         message: 'Profile updated successfully',
-        user: userWithoutPassword
+        user: User.toPublic(updatedUser)
       });
       
     } catch (error) {
@@ -222,12 +405,16 @@ class AuthController {
         });
       }
       
-      // Update password
-      await User.update(userId, { password: newPassword });
+      // Update password (ends every existing session, including this one)
+      const updatedUser = await User.update(userId, { password: newPassword });
+      await RevokedToken.revoke(req.tokenPayload.jti, new Date(req.tokenPayload.exp * 1000));
+      await recordAudit(req, { entity: 'user', entityId: userId, action: 'password_change', before: user, after: updatedUser });
+      const tokens = await issueTokens(updatedUser);
       
       res.status(200).json({
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully',
+        ...tokens
       });
       
     } catch (error) {
@@ -235,9 +422,46 @@ class AuthController {
     }
   }
 
-  // Logout (client-side only)
+  // Exchange a refresh token for a new access token and refresh token
+  async refresh(req, res, next) {
+    try {
+      const rotated = await RefreshToken.rotate(req.body.refreshToken);
+      const user = await User.findById(rotated.userId);
+      
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed',
+        token: User.generateToken(user),
+        refreshToken: rotated.token,
+        refreshTokenExpiresAt: rotated.expiresAt
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Logout: revoke the refresh token and blacklist the current access token
   async logout(req, res, next) {
     try {
+      const { jti, exp } = req.tokenPayload;
+      
+      await RevokedToken.revoke(jti, new Date(exp * 1000));
+      
+      if (req.body.refreshToken) {
+        await RefreshToken.revoke(req.body.refreshToken, req.user.id);
+      }
+      
+      // Expired entries are no longer needed
+      await RevokedToken.purgeExpired();
+      
       res.status(200).json({
         success: true,
         message: 'Logout successful'
@@ -247,15 +471,254 @@ class AuthController {
     }
   }
 
+  // Two-factor status of the current user
+  async getTwoFactorStatus(req, res, next) {
+    try {
+      const enabled = User.hasTwoFactor(req.user);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          enabled,
+          required: isTwoFactorRequired(req.user.role),
+          recoveryCodesRemaining: enabled ? await RecoveryCode.countRemaining(req.user.id) : 0
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Start 2FA enrollment: new secret and otpauth URI for the authenticator app
+  async setupTwoFactor(req, res, next) {
+    try {
+      const user = await User.findById(req.user.id);
+      
+      if (User.hasTwoFactor(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+      
+      if (!(await User.comparePassword(req.body.password, user.password))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+      
+      const secret = generateSecret();
+      await User.setTotpSecret(user.id, secret);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Add the account to your authenticator app, then confirm with a code',
+        data: {
+          secret,
+          otpauthUri: buildOtpauthUri(secret, user.email, getTwoFactorConfig().issuer)
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Finish enrollment with a code from the app; returns recovery codes (shown only once)
+  async enableTwoFactor(req, res, next) {
+    try {
+      const user = await User.findById(req.user.id);
+      
+      if (User.hasTwoFactor(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is already enabled'
+        });
+      }
+      
+      if (!user.totpSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start two-factor setup first'
+        });
+      }
+      
+      const step = verifyCode(user.totpSecret, req.body.code);
+      if (step === null) return invalidTwoFactorCode(res);
+      
+      await User.enableTwoFactor(user.id, step);
+      const recoveryCodes = await RecoveryCode.replaceForUser(user.id);
+      await recordAudit(req, { entity: 'user', entityId: user.id, action: '2fa_enable' });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are shown only once',
+        data: { recoveryCodes }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Turn 2FA off (password and a current code required; not allowed for roles under the 2FA policy)
+  async disableTwoFactor(req, res, next) {
+    try {
+      const user = await User.findById(req.user.id);
+      
+      if (!User.hasTwoFactor(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+      
+      if (isTwoFactorRequired(user.role)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is required for your role'
+        });
+      }
+      
+      if (!(await User.comparePassword(req.body.password, user.password))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+      
+      if (!(await verifySecondFactor(user, req.body.code))) return invalidTwoFactorCode(res);
+      
+      await User.disableTwoFactor(user.id);
+      await recordAudit(req, { entity: 'user', entityId: user.id, action: '2fa_disable' });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Replace the recovery codes (requires a code from the app)
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const user = await User.findById(req.user.id);
+      
+      if (!User.hasTwoFactor(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not enabled'
+        });
+      }
+      
+      if (!(await verifySecondFactor(user, req.body.code, { allowRecovery: false }))) {
+        return invalidTwoFactorCode(res);
+      }
+      
+      const recoveryCodes = await RecoveryCode.replaceForUser(user.id);
+      await recordAudit(req, { entity: 'user', entityId: user.id, action: 'recovery_codes_regenerate' });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Recovery codes replaced, the old ones no longer work',
+        data: { recoveryCodes }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Send a password reset link (same answer whether or not the email exists)
+  async forgotPassword(req, res, next) {
+    try {
+      const user = await User.findByEmail(req.body.email);
+      
+      if (user && !(await PasswordResetToken.requestedRecently(user.id, RESET_REQUEST_INTERVAL_SECONDS))) {
+        const { token, expiresAt } = await PasswordResetToken.create(user.id, { ip: req.ip });
+        
+        // A delivery failure must not reveal that the account exists
+        try {
+          await sendNotification(buildResetMessage(user, token, expiresAt));
+        } catch (error) {
+          console.error('Password reset notification failed:', error.message);
+        }
+      }
+      
+      await PasswordResetToken.purgeExpired();
+      
+      res.status(200).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set a new password with a reset token
+  async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body;
+      
+      const resetToken = await PasswordResetToken.findValid(token);
+      if (!resetToken) return invalidResetToken(res);
+      
+      const user = await User.findById(resetToken.user_id);
+      if (!user) return invalidResetToken(res);
+      
+      const problems = checkPassword(password, user);
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: problems.map(msg => ({ type: 'field', path: 'password', location: 'body', msg }))
+        });
+      }
+      
+      // Single use, even when two requests race with the same token
+      if (!(await PasswordResetToken.consume(resetToken.id))) return invalidResetToken(res);
+      
+      // Ends every existing session; proving access to the email also lifts a login lockout
+      const updatedUser = await User.update(user.id, { password });
+      await User.resetFailedLogins(user.id);
+      await PasswordResetToken.invalidateForUser(user.id);
+      await recordAudit(req, {
+        entity: 'user',
+        entityId: user.id,
+        action: 'password_reset',
+        before: user,
+        after: updatedUser,
+        userId: user.id
+      });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Password reset successfully, please log in with your new password'
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get all users (admin only)
   async getAllUsers(req, res, next) {
     try {
-      const users = await User.getAll();
+      const result = await User.getPage(parsePagination(req.query), {
+        includeDeleted: includeDeleted(req, 'users:manage')
+      });
       
       res.status(200).json({
         success: true,
-        count: users.length,
-        users
+        ...paginationMeta(result),
+        users: result.rows
       });
       
     } catch (error) {
@@ -263,6 +726,126 @@ class AuthController {
     }
   }
 
+  // Assign a role to a user
+  async updateUserRole(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      // Prevent locking yourself out
+      if (parseInt(id) === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot change your own role'
+        });
+      }
+      
+      const before = await User.findById(id);
+      
+      if (!before) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      const user = await User.update(id, { role: req.body.role });
+      await recordAudit(req, { entity: 'user', entityId: user.id, action: 'role_change', before, after: user });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        user: User.toPublic(user)
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Unlock an account locked by failed logins
+  async unlockUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      await User.resetFailedLogins(user.id);
+      await recordAudit(req, {
+        entity: 'user',
+        entityId: user.id,
+        action: 'unlock',
+        before: user,
+        after: { ...user, failedLoginCount: 0, lockedUntil: null }
+      });
+      
+      res.status(200).json({
+        success: true,
+        message: 'User unlocked successfully'
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Reset a user's 2FA (lost device); they can enroll again after logging in with the password
+  async resetUserTwoFactor(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      await User.disableTwoFactor(user.id);
+      await recordAudit(req, { entity: 'user', entityId: user.id, action: '2fa_reset' });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication reset successfully'
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Recent failed logins for a user
+  async getLoginAttempts(req, res, next) {
+    try {
+      const attempts = await LoginAttempt.getByUserId(req.params.id, req.query.limit || 50);
+      
+      res.status(200).json({
+        success: true,
+        count: attempts.length,
+        data: attempts
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Auth user cache metrics (admin only)
+  async getCacheStats(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: getUserCacheStats()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Delete user (admin only)
   async deleteUser(req, res, next) {
     try {
@@ -276,7 +859,16 @@ class AuthController {
         });
       }
       
+      const user = await User.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
       await User.delete(id);
+      await recordAudit(req, { entity: 'user', entityId: user.id, action: 'delete', before: user });
       
       res.status(200).json({
         success: true,
@@ -287,6 +879,39 @@ class AuthController {
       next(error);
     }
   }
+
+  // Restore a deleted user (admin only)
+  async restoreUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id, { includeDeleted: true });
+      
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+      
+      if (!user.deletedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'User is not deleted'
+        });
+      }
+      
+      const restoredUser = await User.restore(user.id);
+      await recordAudit(req, { entity: 'user', entityId: user.id, action: 'restore', before: user, after: restoredUser });
+      
+      res.status(200).json({
+        success: true,
+        message: 'User restored successfully',
+        user: User.toPublic(restoredUser)
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new AuthController();
\ No newline at end of file
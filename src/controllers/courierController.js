@@ -1,33 +1,59 @@
-const { Order } = require('../models');
+const { Order, User, Role } = require('../models');
+const { buildTimeline } = require('../utils/orderTimeline');
+const { 
+  COURIER_STATUSES, 
+  STATUS_REASONS, 
+  canTransition, 
+  requiresReason, 
+  isValidReason, 
+  getNextStatuses: getAllowedNextStatuses 
+} = require('../utils/orderStatus');
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { buildOrderSort } = require('../utils/orderFilters');
+const { COURIER_ROLE } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+
+// Couriers without courier:all only see and update orders assigned to them
+const isScoped = (req) => !(req.permissions || []).includes('courier:all');
+
+// Whether the current user may see this order
+const canAccessOrder = (req, order) => !isScoped(req) || order.courier_id === req.user.id;
 
 class CourierController {
   // Get all courier orders
   async getCourierOrders(req, res, next) {
     try {
-      const filters = {};
+      const filters = {
+        // Default to courier-related statuses
+        status: COURIER_STATUSES
+      };
       
       if (req.query.status && req.query.status !== 'all') {
+        if (!COURIER_STATUSES.includes(req.query.status)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid courier status. Valid statuses: ' + COURIER_STATUSES.join(', ')
+          });
+        }
         filters.status = req.query.status;
-      } else {
-        // Default to courier-related statuses
-        filters.status = ['sended', 'in-transit', 'delivered'];
       }
       
       if (req.query.search) {
         filters.search = req.query.search;
       }
       
-      const orders = await Order.getAll(filters);
+      if (isScoped(req)) {
+        filters.courierId = req.user.id;
+      } else if (parseInt(req.query.courierId) > 0) {
+        filters.courierId = parseInt(req.query.courierId);
+      }
       
-      // Filter to only courier-related orders
-      const courierOrders = orders.filter(order => 
-        ['sended', 'in-transit', 'delivered'].includes(order.status)
-      );
+      const result = await Order.getPage(filters, parsePagination(req.query), buildOrderSort(req.query.sort));
       
       res.status(200).json({
         success: true,
-        count: courierOrders.length,
-        data: courierOrders
+        ...paginationMeta(result),
+        data: result.rows
       });
       
     } catch (error) {
@@ -39,7 +65,7 @@ class CourierController {
   async updateCourierStatus(req, res, next) {
     try {
       const { id } = req.params;
-      const { status } = req.body;
+      const { status, note, reason } = req.body;
       
       if (!status) {
         return res.status(400).json({
@@ -48,16 +74,22 @@ class CourierController {
         });
       }
       
-      const validStatuses = ['sended', 'in-transit', 'delivered'];
-      if (!validStatuses.includes(status)) {
+      if (!COURIER_STATUSES.includes(status)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid courier status'
         });
       }
       
+      if (requiresReason(status) && !isValidReason(status, reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `A valid reason is required for ${status}: ${STATUS_REASONS[status].join(', ')}`
+        });
+      }
+      
       const order = await Order.findById(id);
-      if (!order) {
+      if (!order || !canAccessOrder(req, order)) {
         return res.status(404).json({
           success: false,
           message: 'Order not found'
@@ -65,19 +97,30 @@ class CourierController {
       }
       
       // Validate status transition
-      if (!this.isValidStatusTransition(order.status, status)) {
+      if (!canTransition(order.status, status)) {
         return res.status(400).json({
           success: false,
           message: `Invalid status transition from ${order.status} to ${status}`
         });
       }
       
-      const updatedOrder = await Order.updateStatus(id, status);
+      // The status history records who made the change
+      const updatedOrder = await Order.updateStatus(id, status, {
+        userId: req.user.id,
+        reasonCode: reason || null,
+        note
+      });
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'status_change', before: order, after: updatedOrder });
       
       res.status(200).json({
         success: true,
         message: 'Courier status updated successfully',
-        data: updatedOrder
+        data: updatedOrder,
+        performedBy: {
+          id: req.user.id,
+          fullName: req.user.fullName,
+          role: req.user.role
+        }
       });
       
     } catch (error) {
@@ -85,31 +128,21 @@ class CourierController {
     }
   }
 
-  // Validate status transition
-  isValidStatusTransition(currentStatus, newStatus) {
-    const validTransitions = {
-      'sended': ['in-transit', 'delivered'],
-      'in-transit': ['delivered'],
-      'delivered': [] // No transitions from delivered
-    };
-    
-    return validTransitions[currentStatus]?.includes(newStatus) || false;
-  }
-
   // Get next possible statuses
   async getNextStatuses(req, res, next) {
     try {
       const { id } = req.params;
       
       const order = await Order.findById(id);
-      if (!order) {
+      if (!order || !canAccessOrder(req, order)) {
         return res.status(404).json({
           success: false,
           message: 'Order not found'
         });
       }
       
-      const nextStatuses = this.getPossibleNextStatuses(order.status);
+      const nextStatuses = getAllowedNextStatuses(order.status)
+        .filter(next => COURIER_STATUSES.includes(next.value));
       
       res.status(200).json({
         success: true,
@@ -122,32 +155,17 @@ class CourierController {
     }
   }
 
-  // Get possible next statuses
-  getPossibleNextStatuses(currentStatus) {
-    const statusMap = {
-      'sended': [
-        { value: 'in-transit', label: 'In Transit' },
-        { value: 'delivered', label: 'Delivered' }
-      ],
-      'in-transit': [
-        { value: 'delivered', label: 'Delivered' }
-      ],
-      'delivered': []
-    };
-    
-    return statusMap[currentStatus] || [];
-  }
-
   // Get courier statistics
   async getCourierStats(req, res, next) {
     try {
-      const orders = await Order.getAll();
+      const orders = await Order.getAll(isScoped(req) ? { courierId: req.user.id } : {});
       
       const stats = {
         total: 0,
         sentToCourier: 0,
         inTransit: 0,
         delivered: 0,
+        returnedToOrigin: 0,
         pendingDelivery: 0,
         avgDeliveryTime: 0
       };
@@ -165,6 +183,9 @@ class CourierController {
         } else if (order.status === 'delivered') {
           stats.total++;
           stats.delivered++;
+        } else if (order.status === 'rto') {
+          stats.total++;
+          stats.returnedToOrigin++;
         }
       });
       
@@ -194,7 +215,7 @@ class CourierController {
   // Bulk update courier status
   async bulkUpdateStatus(req, res, next) {
     try {
-      const { orderIds, status } = req.body;
+      const { orderIds, status, note, reason } = req.body;
       
       if (!orderIds || !Array.isArray(orderIds) || orderIds.length === 0) {
         return res.status(400).json({
@@ -210,14 +231,20 @@ class CourierController {
         });
       }
       
-      const validStatuses = ['sended', 'in-transit', 'delivered'];
-      if (!validStatuses.includes(status)) {
+      if (!COURIER_STATUSES.includes(status)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid status'
         });
       }
       
+      if (requiresReason(status) && !isValidReason(status, reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `A valid reason is required for ${status}: ${STATUS_REASONS[status].join(', ')}`
+        });
+      }
+      
       const results = {
         successful: [],
         failed: []
@@ -228,13 +255,13 @@ class CourierController {
         try {
           const order = await Order.findById(orderId);
           
-          if (!order) {
+          if (!order || !canAccessOrder(req, order)) {
             results.failed.push({ id: orderId, error: 'Order not found' });
             continue;
           }
           
           // Validate status transition
-          if (!this.isValidStatusTransition(order.status, status)) {
+          if (!canTransition(order.status, status)) {
             results.failed.push({ 
               id: orderId, 
               error: `Invalid transition from ${order.status} to ${status}` 
@@ -242,7 +269,12 @@ class CourierController {
             continue;
           }
           
-          await Order.updateStatus(orderId, status);
+          const updatedOrder = await Order.updateStatus(orderId, status, {
+            userId: req.user.id,
+            reasonCode: reason || null,
+            note
+          });
+          await recordAudit(req, { entity: 'order', entityId: order.id, action: 'status_change', before: order, after: updatedOrder });
           results.successful.push(orderId);
           
         } catch (error) {
@@ -261,19 +293,78 @@ class CourierController {
     }
   }
 
+  // Assign an order to a courier (courierId null unassigns)
+  async assignCourier(req, res, next) {
+    try {
+      const { id } = req.params;
+      const courierId = req.body.courierId === null ? null : parseInt(req.body.courierId);
+      
+      if (courierId !== null) {
+        const courier = await User.findById(courierId);
+        const permissions = courier ? await Role.getPermissions(courier.role) : [];
+        
+        if (!permissions.includes('courier:update')) {
+          return res.status(400).json({
+            success: false,
+            message: 'Orders can only be assigned to couriers'
+          });
+        }
+      }
+      
+      const existing = await Order.findById(id);
+      
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+      
+      const order = await Order.assignCourier(id, courierId);
+      await recordAudit(req, { entity: 'order', entityId: existing.id, action: 'courier_assign', before: existing, after: order });
+      
+      res.status(200).json({
+        success: true,
+        message: courierId ? 'Courier assigned successfully' : 'Courier unassigned successfully',
+        data: order
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get users with the courier role
+  async getCouriers(req, res, next) {
+    try {
+      const couriers = await User.getByRole(COURIER_ROLE);
+      
+      res.status(200).json({
+        success: true,
+        count: couriers.length,
+        data: couriers
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get delivery timeline for order
   async getDeliveryTimeline(req, res, next) {
     try {
       const { id } = req.params;
       
       const order = await Order.findById(id);
-      if (!order) {
+      if (!order || !canAccessOrder(req, order)) {
         return res.status(404).json({
           success: false,
           message: 'Order not found'
         });
       }
       
+      const history = await Order.getStatusHistory(id);
+      
       const timeline = [
         {
           status: 'order-placed',
@@ -281,33 +372,12 @@ class CourierController {
           date: order.createdAt,
           completed: true
         },
-        {
-          status: 'processed',
-          label: 'Order Processed',
-          date: ['received', 'issued', 'sended', 'in-transit', 'delivered'].includes(order.status) ? 
-                order.updatedAt : null,
-          completed: ['received', 'issued', 'sended', 'in-transit', 'delivered'].includes(order.status)
-        },
-        {
-          status: 'sended',
-          label: 'Sent to Courier',
-          date: ['sended', 'in-transit', 'delivered'].includes(order.status) ? 
-                order.updatedAt : null,
-          completed: ['sended', 'in-transit', 'delivered'].includes(order.status)
-        },
-        {
-          status: 'in-transit',
-          label: 'In Transit',
-          date: ['in-transit', 'delivered'].includes(order.status) ? 
-                order.updatedAt : null,
-          completed: ['in-transit', 'delivered'].includes(order.status)
-        },
-        {
-          status: 'delivered',
-          label: 'Delivered',
-          date: order.status === 'delivered' ? order.updatedAt : null,
-          completed: order.status === 'delivered'
-        }
+        ...buildTimeline(order, history, [
+          { status: 'issued', key: 'processed', label: 'Order Processed' },
+          { status: 'sended', label: 'Sent to Courier' },
+          { status: 'in-transit', label: 'In Transit' },
+          { status: 'delivered', label: 'Delivered' }
+        ])
       ];
       
       res.status(200).json({
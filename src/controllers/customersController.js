@@ -0,0 +1,200 @@
+const { Customer } = require('../models');
+const { isValidMobile } = require('../utils/phone');
+const { recordAudit } = require('../utils/audit');
+
+class CustomersController {
+  // Get all customers
+  async getAllCustomers(req, res, next) {
+    try {
+      const filters = {};
+      
+      if (req.query.search) {
+        filters.search = req.query.search;
+      }
+      
+      if (req.query.limit) {
+        filters.limit = req.query.limit;
+      }
+      
+      const customers = await Customer.getAll(filters);
+      
+      res.status(200).json({
+        success: true,
+        count: customers.length,
+        data: customers
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get customer with order history and lifetime value
+  async getCustomerById(req, res, next) {
+    try {
+      const { id } = req.params;
+      const customer = await Customer.findById(id);
+      
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+      
+      const [orders, stats] = await Promise.all([
+        Customer.getOrders(id),
+        Customer.getLifetimeStats(id)
+      ]);
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          ...customer,
+          ...stats,
+          orders
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get order history for a customer
+  async getCustomerOrders(req, res, next) {
+    try {
+      const { id } = req.params;
+      const customer = await Customer.findById(id);
+      
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+      
+      const orders = await Customer.getOrders(id);
+      
+      res.status(200).json({
+        success: true,
+        count: orders.length,
+        data: orders
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create customer
+  async createCustomer(req, res, next) {
+    try {
+      const { fullName, mobile, address, email, notes } = req.body;
+      
+      if (!isValidMobile(mobile)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid mobile number'
+        });
+      }
+      
+      const exists = await Customer.exists(mobile);
+      if (exists) {
+        return res.status(400).json({
+          success: false,
+          message: 'A customer with this mobile number already exists'
+        });
+      }
+      
+      const customer = await Customer.create({ fullName, mobile, address, email, notes });
+      await recordAudit(req, { entity: 'customer', entityId: customer.id, action: 'create', after: customer });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Customer created successfully',
+        data: customer
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update customer
+  async updateCustomer(req, res, next) {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+      
+      const customer = await Customer.findById(id);
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+      
+      // Mobile numbers identify customers, so they must stay unique
+      if (updateData.mobile !== undefined) {
+        if (!isValidMobile(updateData.mobile)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid mobile number'
+          });
+        }
+        
+        const exists = await Customer.exists(updateData.mobile, id);
+        if (exists) {
+          return res.status(400).json({
+            success: false,
+            message: 'A customer with this mobile number already exists'
+          });
+        }
+      }
+      
+      const updatedCustomer = await Customer.update(id, updateData);
+      
+      if (updatedCustomer) {
+        await recordAudit(req, { entity: 'customer', entityId: customer.id, action: 'update', before: customer, after: updatedCustomer });
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: 'Customer updated successfully',
+        data: updatedCustomer || customer
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete customer
+  async deleteCustomer(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const customer = await Customer.findById(id);
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+      
+      await Customer.delete(id);
+      await recordAudit(req, { entity: 'customer', entityId: customer.id, action: 'delete', before: customer });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Customer deleted successfully'
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new CustomersController();
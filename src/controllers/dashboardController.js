@@ -1,14 +1,17 @@
-const { Order } = require('../models');
+const { Order, Product, Inquiry } = require('../models');
+const { VOID_STATUSES } = require('../utils/orderStatus');
 
 class DashboardController {
-  // Get dashboard statistics
+  // Get dashboard statistics (revenue figures only with analytics:read)
   async getStats(req, res, next) {
     try {
-      const stats = await Order.getDashboardStats();
+      const { total_revenue, lost_revenue, ...counts } = await Order.getDashboardStats();
+      const canSeeRevenue = (req.permissions || []).includes('analytics:read');
       
       res.status(200).json({
         success: true,
-        ...stats
+        ...counts,
+        ...(canSeeRevenue && { total_revenue, lost_revenue })
       });
       
     } catch (error) {
@@ -87,6 +90,42 @@ class DashboardController {
     }
   }
 
+  // Get low-stock widget (products to restock, lowest cover first)
+  async getLowStock(req, res, next) {
+    try {
+      const limit = parseInt(req.query.limit) || 5;
+      const products = await Product.getLowStock();
+      
+      // Soonest stockout first; products with no recent sales go last
+      const cover = (product) => product.days_of_cover === null ? Infinity : product.days_of_cover;
+      const sorted = [...products].sort((a, b) => cover(a) - cover(b));
+      
+      res.status(200).json({
+        success: true,
+        count: products.length,
+        data: sorted.slice(0, limit)
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get inquiry widget (workflow counts and open inquiries nobody has picked up)
+  async getInquiryStats(req, res, next) {
+    try {
+      const stats = await Inquiry.getStats();
+      
+      res.status(200).json({
+        success: true,
+        ...stats
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get monthly summary
   async getMonthlySummary(req, res, next) {
     try {
@@ -102,18 +141,21 @@ class DashboardController {
                orderDate.getFullYear() === currentYear;
       });
       
-      const totalRevenue = monthlyOrders.reduce((sum, order) => 
+      const billableOrders = monthlyOrders.filter(order => !VOID_STATUSES.includes(order.status));
+      
+      const totalRevenue = billableOrders.reduce((sum, order) => 
         sum + parseFloat(order.total_amount || 0), 0
       );
       
-      const averageOrderValue = monthlyOrders.length > 0 ? 
-        totalRevenue / monthlyOrders.length : 0;
+      const averageOrderValue = billableOrders.length > 0 ? 
+        totalRevenue / billableOrders.length : 0;
       
       res.status(200).json({
         success: true,
         month: currentDate.toLocaleString('default', { month: 'long' }),
         year: currentYear,
         totalOrders: monthlyOrders.length,
+        voidedOrders: monthlyOrders.length - billableOrders.length,
         totalRevenue: totalRevenue,
         averageOrderValue: averageOrderValue.toFixed(2)
       });
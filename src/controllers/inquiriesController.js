@@ -0,0 +1,343 @@
+const { Inquiry, Order, Product, User, Role } = require('../models');
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { buildInquiryFilters } = require('../utils/inquiryFilters');
+const { isValidInquiryStatus, canTransitionInquiry, describeInquiryLifecycle } = require('../utils/inquiryStatus');
+const { recordAudit } = require('../utils/audit');
+const { includeDeleted } = require('../utils/softDelete');
+
+class InquiriesController {
+  // Submit an inquiry (public)
+  async createInquiry(req, res, next) {
+    try {
+      const { message, name, email, mobile } = req.body;
+      
+      const inquiry = await Inquiry.create({ message, name, email, mobile });
+      await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'create', after: inquiry });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Inquiry submitted successfully',
+        data: inquiry
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get all inquiries
+  async getAllInquiries(req, res, next) {
+    try {
+      const filters = buildInquiryFilters(req.query, { userId: req.user.id });
+      filters.includeDeleted = includeDeleted(req, 'inquiries:delete');
+      
+      const result = await Inquiry.getPage(filters, parsePagination(req.query));
+      
+      res.status(200).json({
+        success: true,
+        ...paginationMeta(result),
+        data: result.rows
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get inquiry workflow (statuses and allowed transitions)
+  async getInquiryStatuses(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: describeInquiryLifecycle()
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get inquiry statistics
+  async getInquiryStats(req, res, next) {
+    try {
+      const stats = await Inquiry.getStats();
+      
+      res.status(200).json({
+        success: true,
+        ...stats
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get inquiry by ID (with notes)
+  async getInquiryById(req, res, next) {
+    try {
+      const { id } = req.params;
+      const inquiry = await Inquiry.findById(id, { includeDeleted: includeDeleted(req, 'inquiries:delete') });
+      
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inquiry not found'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          ...inquiry,
+          notes: await Inquiry.getNotes(id)
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update inquiry status
+  async updateInquiryStatus(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status, note } = req.body;
+      
+      if (!isValidInquiryStatus(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid status'
+        });
+      }
+      
+      const inquiry = await Inquiry.findById(id);
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inquiry not found'
+        });
+      }
+      
+      if (!canTransitionInquiry(inquiry.status, status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status transition from ${inquiry.status} to ${status}`
+        });
+      }
+      
+      const updatedInquiry = await Inquiry.updateStatus(id, status, { userId: req.user.id, note });
+      await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'status_change', before: inquiry, after: updatedInquiry });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Inquiry status updated successfully',
+        data: updatedInquiry
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Assign an inquiry to a staff user (null unassigns)
+  async assignInquiry(req, res, next) {
+    try {
+      const { id } = req.params;
+      const assignedTo = req.body.assignedTo === null ? null : parseInt(req.body.assignedTo);
+      
+      if (assignedTo !== null) {
+        const assignee = await User.findById(assignedTo);
+        const permissions = assignee ? await Role.getPermissions(assignee.role) : [];
+        
+        if (!permissions.includes('inquiries:write')) {
+          return res.status(400).json({
+            success: false,
+            message: 'Inquiries can only be assigned to users who can handle them'
+          });
+        }
+      }
+      
+      const inquiry = await Inquiry.findById(id);
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inquiry not found'
+        });
+      }
+      
+      const updatedInquiry = await Inquiry.assign(id, assignedTo);
+      await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'assign', before: inquiry, after: updatedInquiry });
+      
+      res.status(200).json({
+        success: true,
+        message: assignedTo ? 'Inquiry assigned successfully' : 'Inquiry unassigned successfully',
+        data: updatedInquiry
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Add a reply note to an inquiry
+  async addInquiryNote(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const inquiry = await Inquiry.findById(id);
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inquiry not found'
+        });
+      }
+      
+      const note = await Inquiry.addNote(id, { userId: req.user.id, note: req.body.note });
+      await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'note_add', after: { note: note.note } });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Note added successfully',
+        data: note
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Convert an inquiry into an order: name, mobile and message are prefilled from the inquiry,
+  // the order is linked to it and the inquiry is resolved
+  async convertInquiry(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { fullName, address, mobile, product_id, quantity, notes, discount, items } = req.body;
+      
+      const inquiry = await Inquiry.findById(id);
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inquiry not found'
+        });
+      }
+      
+      // A deleted order no longer counts as a conversion
+      if (inquiry.order_id && (await Order.findById(inquiry.order_id))) {
+        return res.status(409).json({
+          success: false,
+          message: 'Inquiry has already been converted',
+          data: { orderId: inquiry.order_id }
+        });
+      }
+      
+      if (inquiry.status === 'closed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Closed inquiries cannot be converted'
+        });
+      }
+      
+      const orderData = {
+        fullName: fullName || inquiry.name,
+        address,
+        mobile: mobile || inquiry.mobile,
+        notes: notes ?? inquiry.message,
+        discount,
+        ...(Array.isArray(items) && items.length > 0
+          ? { items }
+          : { product_id, quantity: parseInt(quantity) })
+      };
+      
+      // Reject orders that exceed stock on hand
+      const shortages = await Product.getStockShortages(Order.requestedItems(orderData));
+      if (shortages.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient stock',
+          errors: shortages
+        });
+      }
+      
+      const order = await Order.create(orderData, { userId: req.user.id, inquiryId: inquiry.id });
+      const updatedInquiry = await Inquiry.findById(id);
+      
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'create', after: order });
+      await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'convert', before: inquiry, after: updatedInquiry });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Inquiry converted to order successfully',
+        data: {
+          inquiry: updatedInquiry,
+          order
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete inquiry
+  async deleteInquiry(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const inquiry = await Inquiry.findById(id);
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inquiry not found'
+        });
+      }
+      
+      await Inquiry.delete(id);
+      await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'delete', before: inquiry });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Inquiry deleted successfully'
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Restore a deleted inquiry
+  async restoreInquiry(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const inquiry = await Inquiry.findById(id, { includeDeleted: true });
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inquiry not found'
+        });
+      }
+      
+      if (!inquiry.deletedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Inquiry is not deleted'
+        });
+      }
+      
+      const restoredInquiry = await Inquiry.restore(id);
+      await recordAudit(req, { entity: 'inquiry', entityId: inquiry.id, action: 'restore', before: inquiry, after: restoredInquiry });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Inquiry restored successfully',
+        data: restoredInquiry
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new InquiriesController();
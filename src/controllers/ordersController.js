@@ -1,31 +1,46 @@
 const { Order, Product } = require('../models');
 const { validationResult } = require('express-validator');
+const { buildTimeline } = require('../utils/orderTimeline');
+const { toWhatsAppNumber } = require('../utils/phone');
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { buildOrderFilters, buildOrderSort } = require('../utils/orderFilters');
+const { recordAudit } = require('../utils/audit');
+const { includeDeleted } = require('../utils/softDelete');
+const { 
+  STATUS_REASONS, 
+  isValidStatus, 
+  canTransition, 
+  requiresReason, 
+  isValidReason, 
+  describeLifecycle 
+} = require('../utils/orderStatus');
 
 class OrdersController {
   // Get all orders
   async getAllOrders(req, res, next) {
     try {
-      const filters = {};
+      const filters = buildOrderFilters(req.query);
+      filters.includeDeleted = includeDeleted(req, 'orders:delete');
       
-      if (req.query.status && req.query.status !== 'all') {
-        filters.status = req.query.status;
-      }
-      
-      if (req.query.search) {
-        filters.search = req.query.search;
-      }
-      
-      if (req.query.startDate && req.query.endDate) {
-        filters.startDate = req.query.startDate;
-        filters.endDate = req.query.endDate;
-      }
+      const result = await Order.getPage(filters, parsePagination(req.query), buildOrderSort(req.query.sort));
       
-      const orders = await Order.getAll(filters);
+      res.status(200).json({
+        success: true,
+        ...paginationMeta(result),
+        data: result.rows
+      });
       
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get order lifecycle (statuses and allowed transitions)
+  async getOrderStatuses(req, res, next) {
+    try {
       res.status(200).json({
         success: true,
-        count: orders.length,
-        data: orders
+        data: describeLifecycle()
       });
       
     } catch (error) {
@@ -37,7 +52,7 @@ class OrdersController {
   async getOrderById(req, res, next) {
     try {
       const { id } = req.params;
-      const order = await Order.findById(id);
+      const order = await Order.findById(id, { includeDeleted: includeDeleted(req, 'orders:delete') });
       
       if (!order) {
         return res.status(404).json({
@@ -73,34 +88,36 @@ class OrdersController {
         address, 
         mobile, 
         product_id, 
-        product_name, 
         quantity, 
         notes,
-        total_amount 
+        discount,
+        items
       } = req.body;
       
-      // Validate product
-      const product = await Product.findByProductId(product_id);
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: 'Product not found'
-        });
-      }
-      
-      // Create order
+      // Create order; line prices and totals are computed by the model from the products table
       const orderData = {
         fullName,
         address,
         mobile,
-        product_id,
-        product_name: product_name || product.name,
-        quantity: parseInt(quantity),
         notes,
-        total_amount: total_amount || (parseInt(quantity) * parseFloat(product.price))
+        discount,
+        ...(Array.isArray(items) && items.length > 0
+          ? { items }
+          : { product_id, quantity: parseInt(quantity) })
       };
       
-      const order = await Order.create(orderData);
+      // Reject orders that exceed stock on hand
+      const shortages = await Product.getStockShortages(Order.requestedItems(orderData));
+      if (shortages.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Insufficient stock',
+          errors: shortages
+        });
+      }
+      
+      const order = await Order.create(orderData, { userId: req.user.id });
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'create', after: order });
       
       res.status(201).json({
         success: true,
@@ -127,35 +144,40 @@ class OrdersController {
         });
       }
       
-      // If product_id is updated, validate new product
-      if (updateData.product_id && updateData.product_id !== order.product_id) {
-        const product = await Product.findByProductId(updateData.product_id);
-        if (!product) {
+      // Status changes must follow the order lifecycle
+      if (updateData.status !== undefined && updateData.status !== order.status) {
+        if (!isValidStatus(updateData.status) || !canTransition(order.status, updateData.status)) {
           return res.status(400).json({
             success: false,
-            message: 'Product not found'
+            message: `Invalid status transition from ${order.status} to ${updateData.status}`
           });
         }
         
-        if (!updateData.product_name) {
-          updateData.product_name = product.name;
-        }
-        
-        if (!updateData.total_amount) {
-          const quantity = updateData.quantity || order.quantity;
-          updateData.total_amount = quantity * parseFloat(product.price);
+        if (requiresReason(updateData.status)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Use the cancel or return endpoints to cancel or return an order'
+          });
         }
       }
       
-      // If quantity is updated, recalculate total
-      if (updateData.quantity && !updateData.total_amount) {
-        const product = await Product.findByProductId(order.product_id);
-        if (product) {
-          updateData.total_amount = updateData.quantity * parseFloat(product.price);
-        }
+      if (Array.isArray(updateData.items) && updateData.items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one item is required'
+        });
+      }
+      
+      if (!Array.isArray(updateData.items) && order.items.length > 1 && (updateData.product_id || updateData.quantity)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This order has multiple items; send the full items array to change products or quantities'
+        });
       }
       
-      const updatedOrder = await Order.update(id, updateData);
+      // Totals are recomputed by the model from product prices when lines or discount change
+      const updatedOrder = await Order.update(id, updateData, { userId: req.user.id });
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'update', before: order, after: updatedOrder });
       
       res.status(200).json({
         success: true,
@@ -172,7 +194,7 @@ class OrdersController {
   async updateOrderStatus(req, res, next) {
     try {
       const { id } = req.params;
-      const { status } = req.body;
+      const { status, note, reason } = req.body;
       
       if (!status) {
         return res.status(400).json({
@@ -181,14 +203,20 @@ class OrdersController {
         });
       }
       
-      const validStatuses = ['received', 'received', 'issued', 'sended', 'in-transit', 'delivered'];
-      if (!validStatuses.includes(status)) {
+      if (!isValidStatus(status)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid status'
         });
       }
       
+      if (requiresReason(status) && !isValidReason(status, reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `A valid reason is required for ${status}: ${STATUS_REASONS[status].join(', ')}`
+        });
+      }
+      
       const order = await Order.findById(id);
       if (!order) {
         return res.status(404).json({
@@ -197,7 +225,19 @@ class OrdersController {
         });
       }
       
-      const updatedOrder = await Order.updateStatus(id, status);
+      if (!canTransition(order.status, status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status transition from ${order.status} to ${status}`
+        });
+      }
+      
+      const updatedOrder = await Order.updateStatus(id, status, {
+        userId: req.user.id,
+        reasonCode: reason || null,
+        note
+      });
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'status_change', before: order, after: updatedOrder });
       
       res.status(200).json({
         success: true,
@@ -210,6 +250,100 @@ class OrdersController {
     }
   }
 
+  // Cancel order (before it is handed to the courier)
+  async cancelOrder(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { reason, note } = req.body;
+      
+      if (!isValidReason('cancelled', reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `A valid cancellation reason is required: ${STATUS_REASONS.cancelled.join(', ')}`
+        });
+      }
+      
+      const order = await Order.findById(id);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+      
+      if (!canTransition(order.status, 'cancelled')) {
+        return res.status(400).json({
+          success: false,
+          message: `Order cannot be cancelled once it is ${order.status}`
+        });
+      }
+      
+      const updatedOrder = await Order.updateStatus(id, 'cancelled', {
+        userId: req.user.id,
+        reasonCode: reason,
+        note
+      });
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'status_change', before: order, after: updatedOrder });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Order cancelled successfully',
+        data: updatedOrder
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Return order: delivered orders become returned, orders still with the courier become rto
+  async returnOrder(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { reason, note } = req.body;
+      
+      const order = await Order.findById(id);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+      
+      const status = order.status === 'delivered' ? 'returned' : 'rto';
+      
+      if (!canTransition(order.status, status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Order cannot be returned while it is ${order.status}`
+        });
+      }
+      
+      if (!isValidReason(status, reason)) {
+        return res.status(400).json({
+          success: false,
+          message: `A valid reason is required for ${status}: ${STATUS_REASONS[status].join(', ')}`
+        });
+      }
+      
+      const updatedOrder = await Order.updateStatus(id, status, {
+        userId: req.user.id,
+        reasonCode: reason,
+        note
+      });
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'status_change', before: order, after: updatedOrder });
+      
+      res.status(200).json({
+        success: true,
+        message: status === 'returned' ? 'Order marked as returned' : 'Order marked as returned to origin',
+        data: updatedOrder
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Delete order
   async deleteOrder(req, res, next) {
     try {
@@ -223,7 +357,8 @@ class OrdersController {
         });
       }
       
-      await Order.delete(id);
+      await Order.delete(id, { userId: req.user.id });
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'delete', before: order });
       
       res.status(200).json({
         success: true,
@@ -235,6 +370,40 @@ class OrdersController {
     }
   }
 
+  // Restore a deleted order
+  async restoreOrder(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const order = await Order.findById(id, { includeDeleted: true });
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+      
+      if (!order.deletedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Order is not deleted'
+        });
+      }
+      
+      const restoredOrder = await Order.restore(id, { userId: req.user.id });
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'restore', before: order, after: restoredOrder });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Order restored successfully',
+        data: restoredOrder
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Send order to courier
   async sendToCourier(req, res, next) {
     try {
@@ -248,7 +417,18 @@ class OrdersController {
         });
       }
       
-      const updatedOrder = await Order.updateStatus(id, 'sended');
+      if (!canTransition(order.status, 'sended')) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status transition from ${order.status} to sended`
+        });
+      }
+      
+      const updatedOrder = await Order.updateStatus(id, 'sended', {
+        userId: req.user.id,
+        note: req.body?.note
+      });
+      await recordAudit(req, { entity: 'order', entityId: order.id, action: 'status_change', before: order, after: updatedOrder });
       
       res.status(200).json({
         success: true,
@@ -274,12 +454,17 @@ class OrdersController {
         });
       }
       
-      const message = `නව ඇණවුමක්!\n\nනම: ${order.fullName}\nදුරකථන: ${order.mobile}\nලිපිනය: ${order.address}\nනිෂ්පාදනය: ${order.product_name}\nප්‍රමාණය: ${order.quantity}\nඇණවුම් අංකය: ${order.order_id}`;
+      // List every line for multi-item orders
+      const products = order.items.length > 1
+        ? order.items.map(item => `${item.product_name} x ${item.quantity}`).join(', ')
+        : order.product_name;
+      
+      const message = `නව ඇණවුමක්!\n\nනම: ${order.fullName}\nදුරකථන: ${order.mobile}\nලිපිනය: ${order.address}\nනිෂ්පාදනය: ${products}\nප්‍රමාණය: ${order.quantity}\nඇණවුම් අංකය: ${order.order_id}`;
       
       res.status(200).json({
         success: true,
         message: message,
-        whatsappNumber: order.mobile
+        whatsappNumber: toWhatsAppNumber(order.mobile)
       });
       
     } catch (error) {
@@ -300,47 +485,22 @@ class OrdersController {
         });
       }
       
+      const history = await Order.getStatusHistory(id);
+      
       const timeline = [
-        { 
-          status: "received", 
-          label: "Order Placed", 
+        {
+          status: 'received',
+          label: 'Order Placed',
           date: order.createdAt,
-          completed: true 
-        },
-        { 
-          status: "received", 
-          label: "Order Received", 
-          date: ['received', 'issued', 'sended', 'in-transit', 'delivered'].includes(order.status) ? 
-                order.updatedAt : null,
-          completed: ['received', 'issued', 'sended', 'in-transit', 'delivered'].includes(order.status)
+          completed: true
         },
-        { 
-          status: "issued", 
-          label: "Order Issued", 
-          date: ['issued', 'sended', 'in-transit', 'delivered'].includes(order.status) ? 
-                order.updatedAt : null,
-          completed: ['issued', 'sended', 'in-transit', 'delivered'].includes(order.status)
-        },
-        { 
-          status: "sended", 
-          label: "Sent to Courier", 
-          date: ['sended', 'in-transit', 'delivered'].includes(order.status) ? 
-                order.updatedAt : null,
-          completed: ['sended', 'in-transit', 'delivered'].includes(order.status)
-        },
-        { 
-          status: "in-transit", 
-          label: "In Transit", 
-          date: ['in-transit', 'delivered'].includes(order.status) ? 
-                order.updatedAt : null,
-          completed: ['in-transit', 'delivered'].includes(order.status)
-        },
-        { 
-          status: "delivered", 
-          label: "Delivered", 
-          date: order.status === 'delivered' ? order.updatedAt : null,
-          completed: order.status === 'delivered'
-        }
+        ...buildTimeline(order, history, [
+          { status: 'received', label: 'Order Received' },
+          { status: 'issued', label: 'Order Issued' },
+          { status: 'sended', label: 'Sent to Courier' },
+          { status: 'in-transit', label: 'In Transit' },
+          { status: 'delivered', label: 'Delivered' }
+        ])
       ];
       
       res.status(200).json({
@@ -1,30 +1,24 @@
 const { Product } = require('../models');
 const { validationResult } = require('express-validator');
+const { parsePagination, paginationMeta } = require('../utils/pagination');
+const { buildProductFilters, buildProductSort } = require('../utils/productFilters');
+const { recordAudit } = require('../utils/audit');
+const { includeDeleted } = require('../utils/softDelete');
 
 class ProductsController {
   // Get all products
   async getAllProducts(req, res, next) {
     try {
-      const filters = {};
+      const filters = buildProductFilters(req.query);
+      filters.includeDeleted = includeDeleted(req, 'products:delete');
+      const sort = buildProductSort(req.query.sort);
       
-      if (req.query.status && req.query.status !== 'all') {
-        filters.status = req.query.status;
-      }
-      
-      if (req.query.category) {
-        filters.category = req.query.category;
-      }
-      
-      if (req.query.search) {
-        filters.search = req.query.search;
-      }
-      
-      const products = await Product.getAll(filters);
+      const result = await Product.getPage(filters, parsePagination(req.query), sort);
       
       res.status(200).json({
         success: true,
-        count: products.length,
-        data: products
+        ...paginationMeta(result),
+        data: result.rows
       });
       
     } catch (error) {
@@ -36,7 +30,7 @@ class ProductsController {
   async getProductById(req, res, next) {
     try {
       const { id } = req.params;
-      const product = await Product.findById(id);
+      const product = await Product.findById(id, { includeDeleted: includeDeleted(req, 'products:delete') });
       
       if (!product) {
         return res.status(404).json({
@@ -74,7 +68,9 @@ class ProductsController {
         status = 'available', 
         category, 
         image,
-        product_id 
+        product_id,
+        stock_quantity,
+        reorder_threshold
       } = req.body;
       
       // Check if product_id already exists
@@ -96,10 +92,14 @@ class ProductsController {
         status,
         category,
         image,
-        product_id
+        product_id,
+        stock_quantity,
+        reorder_threshold,
+        userId: req.user.id
       };
       
       const product = await Product.create(productData);
+      await recordAudit(req, { entity: 'product', entityId: product.id, action: 'create', after: product });
       
       res.status(201).json({
         success: true,
@@ -138,6 +138,7 @@ class ProductsController {
       }
       
       const updatedProduct = await Product.update(id, updateData);
+      await recordAudit(req, { entity: 'product', entityId: product.id, action: 'update', before: product, after: updatedProduct });
       
       res.status(200).json({
         success: true,
@@ -180,6 +181,7 @@ class ProductsController {
       }
       
       const updatedProduct = await Product.updateStatus(id, status);
+      await recordAudit(req, { entity: 'product', entityId: product.id, action: 'status_change', before: product, after: updatedProduct });
       
       res.status(200).json({
         success: true,
@@ -206,6 +208,7 @@ class ProductsController {
       }
       
       await Product.delete(id);
+      await recordAudit(req, { entity: 'product', entityId: product.id, action: 'delete', before: product });
       
       res.status(200).json({
         success: true,
@@ -217,6 +220,128 @@ class ProductsController {
     }
   }
 
+  // Restore a deleted product
+  async restoreProduct(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const product = await Product.findById(id, { includeDeleted: true });
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+      
+      if (!product.deletedAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product is not deleted'
+        });
+      }
+      
+      const restoredProduct = await Product.restore(id);
+      await recordAudit(req, { entity: 'product', entityId: product.id, action: 'restore', before: product, after: restoredProduct });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Product restored successfully',
+        data: restoredProduct
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Adjust stock on hand (goods received, stock count corrections)
+  async adjustStock(req, res, next) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+      
+      const { id } = req.params;
+      const { change, type = 'adjustment', note } = req.body;
+      
+      const before = await Product.findById(id);
+      const product = await Product.adjustStock(id, parseInt(change), {
+        type,
+        note,
+        userId: req.user.id
+      });
+      
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+      
+      await recordAudit(req, { entity: 'product', entityId: product.id, action: 'stock_adjust', before, after: product });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Stock updated successfully',
+        data: product
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get stock movement ledger for a product
+  async getStockMovements(req, res, next) {
+    try {
+      const { id } = req.params;
+      
+      const product = await Product.findById(id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+      
+      const movements = await Product.getStockMovements(product.product_id, parseInt(req.query.limit) || 50);
+      
+      res.status(200).json({
+        success: true,
+        count: movements.length,
+        data: {
+          product_id: product.product_id,
+          stock_quantity: product.stock_quantity,
+          movements
+        }
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get products at or below their reorder threshold
+  async getLowStockProducts(req, res, next) {
+    try {
+      const products = await Product.getLowStock();
+      
+      res.status(200).json({
+        success: true,
+        count: products.length,
+        data: products
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get product statistics
   async getProductStats(req, res, next) {
     try {
@@ -279,7 +404,7 @@ class ProductsController {
   // Get all categories
   async getCategories(req, res, next) {
     try {
-      const sql = 'SELECT DISTINCT category FROM products WHERE category IS NOT NULL AND category != "" ORDER BY category';
+      const sql = 'SELECT DISTINCT category FROM products WHERE category IS NOT NULL AND category != "" AND deletedAt IS NULL ORDER BY category';
       const { query } = require('../../database');
       const categories = await query(sql);
       
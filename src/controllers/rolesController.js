@@ -0,0 +1,135 @@
+const { Role } = require('../models');
+const { listPermissions } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+
+class RolesController {
+  // Get all roles with their permissions
+  async getAllRoles(req, res, next) {
+    try {
+      const roles = await Role.getAll();
+      
+      res.status(200).json({
+        success: true,
+        count: roles.length,
+        data: roles
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the permission catalog
+  async getPermissions(req, res, next) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: listPermissions()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get role by name
+  async getRoleByName(req, res, next) {
+    try {
+      const role = await Role.findByName(req.params.name);
+      
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: role
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create role
+  async createRole(req, res, next) {
+    try {
+      const { name, description, permissions } = req.body;
+      
+      if (await Role.exists(name)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role already exists'
+        });
+      }
+      
+      const role = await Role.create({ name, description, permissions });
+      await recordAudit(req, { entity: 'role', entityId: role.name, action: 'create', after: role });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: role
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update role description and/or permissions
+  async updateRole(req, res, next) {
+    try {
+      const { description, permissions } = req.body;
+      const before = await Role.findByName(req.params.name);
+      
+      if (!before) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+      
+      const role = await Role.update(before.name, { description, permissions });
+      await recordAudit(req, { entity: 'role', entityId: role.name, action: 'update', before, after: role });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Role updated successfully',
+        data: role
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete role
+  async deleteRole(req, res, next) {
+    try {
+      const role = await Role.findByName(req.params.name);
+      
+      if (!role) {
+        return res.status(404).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+      
+      await Role.delete(role.name);
+      await recordAudit(req, { entity: 'role', entityId: role.name, action: 'delete', before: role });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new RolesController();
@@ -0,0 +1,38 @@
+const { Search } = require('../models');
+const { parseList } = require('../utils/queryBuilder');
+
+class SearchController {
+  // Search orders, products and inquiries
+  async search(req, res, next) {
+    try {
+      const types = parseList(req.query.types);
+      const unknown = types.filter(type => !Search.getTypes().includes(type));
+      
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown search types: ${unknown.join(', ')}. Searchable types: ${Search.getTypes().join(', ')}`
+        });
+      }
+      
+      const { terms, engine, results } = await Search.search(req.query.q, {
+        types: types.length > 0 ? types : Search.getTypes(),
+        limit: req.query.limit
+      });
+      
+      res.status(200).json({
+        success: true,
+        query: req.query.q,
+        terms,
+        engine,
+        count: results.length,
+        data: results
+      });
+      
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new SearchController();
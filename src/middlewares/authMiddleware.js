@@ -1,9 +1,7 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
-
-// Simple in-memory cache for user lookups (reduces DB queries)
-const userCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const { User, Role, RevokedToken } = require('../models');
+const { getCachedUser, cacheUser } = require('../utils/userCache');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -23,23 +21,31 @@ const authMiddleware = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Check cache first
-    const cacheKey = `user_${decoded.id}`;
-    const cachedUser = userCache.get(cacheKey);
+    // Tokens without a jti cannot be revoked, so they are not accepted.
+    // Purpose tokens (2FA login challenges) only work at their own endpoint.
+    if (!decoded.jti || decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
     
-    let user;
-    if (cachedUser && Date.now() - cachedUser.timestamp < CACHE_TTL) {
-      user = cachedUser.data;
-    } else {
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token revoked'
+      });
+    }
+    
+    // Check cache first (invalidated by User.update/User.delete)
+    let user = getCachedUser(decoded.id);
+    
+    if (!user) {
       // Find user from database
       user = await User.findById(decoded.id);
       
       if (user) {
-        // Cache user data
-        userCache.set(cacheKey, {
-          data: user,
-          timestamp: Date.now()
-        });
+        cacheUser(user);
       }
     }
     
@@ -50,9 +56,18 @@ const authMiddleware = async (req, res, next) => {
       });
     }
     
+    // Tokens issued under an earlier password are no longer valid
+    if (user.passwordChangedAt && decoded.pwdAt !== User.passwordStamp(user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password changed, please log in again'
+      });
+    }
+    
     // Add user to request
     req.user = user;
     req.token = token;
+    req.tokenPayload = decoded;
     
     next();
   } catch (error) {
@@ -98,4 +113,41 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { authMiddleware, authorize };
\ No newline at end of file
+// Permission-based authorization middleware (requires every listed permission)
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Unauthorized'
+        });
+      }
+      
+      // Roles under the 2FA policy can only reach their profile and 2FA setup until they enroll
+      if (isTwoFactorRequired(req.user.role) && !User.hasTwoFactor(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Forbidden: Two-factor authentication must be enabled for your role'
+        });
+      }
+      
+      const granted = await Role.getPermissions(req.user.role);
+      const missing = permissions.filter(permission => !granted.includes(permission));
+      
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Forbidden: Missing permission ${missing.join(', ')}`
+        });
+      }
+      
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { authMiddleware, authorize, requirePermission };
\ No newline at end of file
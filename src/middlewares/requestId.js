@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Ids passed in by a proxy or client are kept when they look sane, so logs can be correlated
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// Give every request an id (req.id), echoed in the X-Request-Id response header
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
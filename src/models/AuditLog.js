@@ -0,0 +1,66 @@
+const db = require('../../database');
+const { paginate } = require('../utils/pagination');
+const { whereBuilder } = require('../utils/queryBuilder');
+
+// Newest first
+const AUDIT_SORT = [{ column: 'a.createdAt', key: 'createdAt', direction: 'DESC' }];
+
+// Append-only record of data changes: who changed which record, how, and what the fields were before and after
+class AuditLog {
+  // Write an entry; `before`/`after` hold the changed fields (a create has no before, a delete no after)
+  static async record({ entity, entityId, action, before = null, after = null, userId = null, ip = null, requestId = null }) {
+    const sql = `
+      INSERT INTO audit_log (user_id, entity, entity_id, action, before_data, after_data, ip, request_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await db.query(sql, [
+      userId,
+      entity,
+      entityId === undefined || entityId === null ? null : String(entityId),
+      action,
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after),
+      ip,
+      requestId
+    ]);
+    return result.insertId;
+  }
+
+  // Get one page of entries ({ rows, total, page, pageSize, nextCursor })
+  static async getPage(filters = {}, pagination) {
+    const { where, params } = this.buildFilters(filters);
+
+    const result = await paginate(db.query, {
+      select: 'a.*, u.fullName as user_name, u.email as user_email',
+      from: 'audit_log a LEFT JOIN users u ON u.id = a.user_id',
+      where,
+      params,
+      sort: AUDIT_SORT,
+      idColumn: 'a.id'
+    }, pagination);
+
+    return { ...result, rows: result.rows.map(row => this.parseRow(row)) };
+  }
+
+  // Build the WHERE clause for list filters
+  static buildFilters(filters = {}) {
+    return whereBuilder()
+      .when(filters.entity, 'a.entity = ?')
+      .when(filters.entityId, 'a.entity_id = ?')
+      .when(filters.userId, 'a.user_id = ?')
+      .when(filters.action, 'a.action = ?')
+      .when(filters.requestId, 'a.request_id = ?')
+      .when(filters.from, 'DATE(a.createdAt) >= ?')
+      .when(filters.to, 'DATE(a.createdAt) <= ?')
+      .build();
+  }
+
+  // JSON columns come back as strings from some drivers
+  static parseRow(row) {
+    const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+    return { ...row, before_data: parse(row.before_data), after_data: parse(row.after_data) };
+  }
+}
+
+module.exports = AuditLog;
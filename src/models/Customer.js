@@ -0,0 +1,175 @@
+const db = require('../../database');
+const { normalizeMobile } = require('../utils/phone');
+const { VOID_STATUSES } = require('../utils/orderStatus');
+const { createError } = require('../utils/httpError');
+
+class Customer {
+  // Create customer
+  static async create(customerData) {
+    const { fullName, mobile, address = '', email = '', notes = '' } = customerData;
+    
+    const sql = `
+      INSERT INTO customers (fullName, mobile, address, email, notes)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    
+    const result = await db.query(sql, [
+      fullName.trim(),
+      normalizeMobile(mobile),
+      address.trim(),
+      email.trim(),
+      notes.trim()
+    ]);
+    
+    return this.findById(result.insertId);
+  }
+
+  // Find the customer for a mobile number, creating one on first order.
+  // An existing customer keeps their name; a missing address is filled in.
+  static async findOrCreate({ fullName, mobile, address = '' }, executor = db) {
+    const sql = `
+      INSERT INTO customers (fullName, mobile, address)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE 
+        id = LAST_INSERT_ID(id),
+        address = IF(address IS NULL OR address = '', VALUES(address), address)
+    `;
+    
+    const result = await executor.query(sql, [fullName.trim(), normalizeMobile(mobile), address.trim()]);
+    return result.insertId;
+  }
+
+  // Find customer by ID
+  static async findById(id) {
+    const sql = 'SELECT * FROM customers WHERE id = ? LIMIT 1';
+    const customers = await db.query(sql, [id]);
+    return customers[0] || null;
+  }
+
+  // Find customer by mobile (any formatting)
+  static async findByMobile(mobile) {
+    const sql = 'SELECT * FROM customers WHERE mobile = ? LIMIT 1';
+    const customers = await db.query(sql, [normalizeMobile(mobile) || mobile]);
+    return customers[0] || null;
+  }
+
+  // Get all customers with order count and lifetime value
+  static async getAll(filters = {}) {
+    let sql = `
+      SELECT 
+        c.*,
+        COUNT(o.id) as order_count,
+        COALESCE(SUM(CASE WHEN o.status NOT IN (?) THEN o.total_amount ELSE 0 END), 0) as lifetime_value,
+        MAX(o.createdAt) as last_order_date
+      FROM customers c
+      LEFT JOIN orders o ON o.customer_id = c.id AND o.deletedAt IS NULL
+    `;
+    const params = [VOID_STATUSES];
+    
+    if (filters.search) {
+      sql += ' WHERE (c.fullName LIKE ? OR c.mobile LIKE ? OR c.email LIKE ?)';
+      const searchTerm = `%${filters.search}%`;
+      params.push(searchTerm, `%${normalizeMobile(filters.search) || filters.search}%`, searchTerm);
+    }
+    
+    sql += ' GROUP BY c.id ORDER BY c.createdAt DESC';
+    
+    if (filters.limit) {
+      sql += ' LIMIT ?';
+      params.push(parseInt(filters.limit));
+    }
+    
+    return await db.query(sql, params);
+  }
+
+  // Update customer
+  static async update(id, updateData) {
+    const fields = [];
+    const values = [];
+    
+    const allowedFields = ['fullName', 'mobile', 'address', 'email', 'notes'];
+    
+    allowedFields.forEach(field => {
+      if (updateData[field] !== undefined) {
+        fields.push(`${field} = ?`);
+        values.push(field === 'mobile' ? normalizeMobile(updateData[field]) : updateData[field]);
+      }
+    });
+    
+    if (fields.length === 0) return null;
+    
+    values.push(id);
+    const sql = `UPDATE customers SET ${fields.join(', ')} WHERE id = ?`;
+    
+    await db.query(sql, values);
+    return this.findById(id);
+  }
+
+  // Delete customer (only when no orders, including soft deleted ones, reference them)
+  static async delete(id) {
+    const orders = await db.query('SELECT COUNT(*) as count FROM orders WHERE customer_id = ?', [id]);
+    if (orders[0].count > 0) {
+      throw createError(400, 'Customer has orders and cannot be deleted');
+    }
+    
+    await db.query('DELETE FROM customers WHERE id = ?', [id]);
+    return true;
+  }
+
+  // Check if a mobile number already belongs to a customer
+  static async exists(mobile, excludeId = null) {
+    let sql = 'SELECT COUNT(*) as count FROM customers WHERE mobile = ?';
+    const params = [normalizeMobile(mobile) || mobile];
+    
+    if (excludeId) {
+      sql += ' AND id != ?';
+      params.push(excludeId);
+    }
+    
+    const result = await db.query(sql, params);
+    return result[0].count > 0;
+  }
+
+  // Get order history for a customer, newest first
+  static async getOrders(id) {
+    const sql = `
+      SELECT * FROM orders 
+      WHERE customer_id = ? AND deletedAt IS NULL
+      ORDER BY createdAt DESC
+    `;
+    
+    return await db.query(sql, [id]);
+  }
+
+  // Get lifetime value summary (cancelled/returned/rto orders earn nothing)
+  static async getLifetimeStats(id) {
+    const sql = `
+      SELECT 
+        COUNT(*) as order_count,
+        SUM(CASE WHEN status NOT IN (?) THEN 1 ELSE 0 END) as completed_orders,
+        SUM(CASE WHEN status IN (?) THEN 1 ELSE 0 END) as voided_orders,
+        COALESCE(SUM(CASE WHEN status NOT IN (?) THEN total_amount ELSE 0 END), 0) as lifetime_value,
+        MIN(createdAt) as first_order_date,
+        MAX(createdAt) as last_order_date
+      FROM orders
+      WHERE customer_id = ? AND deletedAt IS NULL
+    `;
+    
+    const result = await db.query(sql, [VOID_STATUSES, VOID_STATUSES, VOID_STATUSES, id]);
+    const stats = result[0];
+    const completed = parseInt(stats.completed_orders) || 0;
+    const lifetimeValue = parseFloat(stats.lifetime_value) || 0;
+    
+    return {
+      order_count: stats.order_count,
+      completed_orders: completed,
+      voided_orders: parseInt(stats.voided_orders) || 0,
+      lifetime_value: lifetimeValue,
+      average_order_value: completed > 0 ? Math.round((lifetimeValue / completed) * 100) / 100 : 0,
+      first_order_date: stats.first_order_date,
+      last_order_date: stats.last_order_date
+    };
+  }
+}
+
+module.exports = Customer;
@@ -1,9 +1,22 @@
 const db = require('../../database');
+const { normalizeMobile } = require('../utils/phone');
+const { createError } = require('../utils/httpError');
+const { paginate } = require('../utils/pagination');
+const { whereBuilder, buildListQuery } = require('../utils/queryBuilder');
+const { OPEN_INQUIRY_STATUSES } = require('../utils/inquiryStatus');
+const { VOID_STATUSES } = require('../utils/orderStatus');
+const InquiryNote = require('./InquiryNote');
 
 class Inquiry {
   // Create inquiry
   static async create(inquiryData) {
     const { message, name = '', email = '', mobile = '' } = inquiryData;
+    
+    // Mobile is optional on inquiries, but must be a valid number when given
+    const normalizedMobile = mobile ? normalizeMobile(mobile) : '';
+    if (normalizedMobile === null) {
+      throw createError(400, 'Valid mobile number is required');
+    }
 
     const sql = `
       INSERT INTO inquiries 
@@ -11,68 +24,198 @@ class Inquiry {
       VALUES (?, ?, ?, ?, 'pending')
     `;
     
-    const result = await db.query(sql, [message, name, email, mobile]);
+    const result = await db.query(sql, [message, name, email, normalizedMobile]);
     return this.findById(result.insertId);
   }
 
-  // Find inquiry by ID
-  static async findById(id) {
-    const sql = 'SELECT * FROM inquiries WHERE id = ? LIMIT 1';
+  // Find inquiry by ID; soft deleted inquiries only with includeDeleted
+  static async findById(id, { includeDeleted = false } = {}) {
+    const sql = `SELECT * FROM inquiries WHERE id = ?${includeDeleted ? '' : ' AND deletedAt IS NULL'} LIMIT 1`;
     const inquiries = await db.query(sql, [id]);
     return inquiries[0] || null;
   }
 
-  // Get all inquiries with optimization
+  // Get all inquiries, newest first
   static async getAll(filters = {}) {
-    let sql = 'SELECT * FROM inquiries';
-    const params = [];
-    const conditions = [];
+    const { where, params } = this.buildFilters(filters);
+    const query = buildListQuery({ from: 'inquiries', where, params, limit: filters.limit });
     
-    if (filters.status) {
-      conditions.push('status = ?');
-      params.push(filters.status);
-    }
+    return await db.query(query.sql, query.params);
+  }
+
+  // Get one page of inquiries ({ rows, total, page, pageSize, nextCursor })
+  static async getPage(filters = {}, pagination) {
+    const { where, params } = this.buildFilters(filters);
+    return await paginate(db.query, { from: 'inquiries', where, params }, pagination);
+  }
+
+  // Build the WHERE clause for list filters (soft deleted inquiries are left out unless includeDeleted)
+  static buildFilters(filters = {}) {
+    const where = whereBuilder();
     
-    if (conditions.length > 0) {
-      sql += ' WHERE ' + conditions.join(' AND ');
+    if (!filters.includeDeleted) {
+      where.add('deletedAt IS NULL');
     }
     
-    sql += ' ORDER BY createdAt DESC';
+    where
+      .when(filters.status, Array.isArray(filters.status) ? 'status IN (?)' : 'status = ?')
+      .when(filters.assignedTo, 'assigned_to = ?');
+    
+    if (filters.unassigned) {
+      where.add('assigned_to IS NULL');
+    }
     
-    if (filters.limit) {
-      sql += ' LIMIT ?';
-      params.push(parseInt(filters.limit));
+    if (filters.search) {
+      const searchTerm = `%${filters.search}%`;
+      where.add(
+        '(name LIKE ? OR email LIKE ? OR mobile LIKE ? OR message LIKE ?)',
+        searchTerm, searchTerm, `%${normalizeMobile(filters.search) || filters.search}%`, searchTerm
+      );
     }
     
-    return await db.query(sql, params);
+    return where.build();
   }
 
-  // Update inquiry status
-  static async updateStatus(id, status) {
-    const sql = 'UPDATE inquiries SET status = ?, updatedAt = NOW() WHERE id = ?';
-    await db.query(sql, [status, id]);
+  // Update inquiry status; an optional note is stored with the change
+  static async updateStatus(id, status, { userId = null, note = null } = {}) {
+    await db.transaction(async (conn) => {
+      const sql = 'UPDATE inquiries SET status = ?, updatedAt = NOW() WHERE id = ? AND deletedAt IS NULL';
+      await conn.query(sql, [status, id]);
+      
+      if (note) {
+        await InquiryNote.record({ inquiryId: id, userId, note }, conn);
+      }
+    });
+    
     return this.findById(id);
   }
 
-  // Delete inquiry
+  // Assign an inquiry to a staff user (null unassigns)
+  static async assign(id, userId) {
+    const sql = 'UPDATE inquiries SET assigned_to = ? WHERE id = ? AND deletedAt IS NULL';
+    const result = await db.query(sql, [userId, id]);
+    if (result.affectedRows === 0) return null;
+    
+    return this.findById(id);
+  }
+
+  // Add a reply or internal note; returns the note
+  static async addNote(id, { userId = null, note }) {
+    const noteId = await InquiryNote.record({ inquiryId: id, userId, note });
+    return InquiryNote.findById(noteId);
+  }
+
+  // Get the notes of an inquiry, oldest first
+  static async getNotes(id) {
+    return await InquiryNote.getByInquiryId(id);
+  }
+
+  // Link an inquiry to the order it was converted into and resolve it. Runs inside the order's
+  // transaction, so an inquiry that is already converted or closed rolls the order back.
+  // An inquiry whose order was deleted counts as not converted and can be converted again.
+  static async linkOrder(id, { orderId, orderNumber, userId = null }, executor = db) {
+    const sql = `
+      UPDATE inquiries 
+      SET order_id = ?, status = 'resolved', updatedAt = NOW()
+      WHERE id = ? AND status <> 'closed' AND deletedAt IS NULL
+        AND (order_id IS NULL OR order_id IN (SELECT id FROM orders WHERE deletedAt IS NOT NULL))
+    `;
+    
+    const result = await executor.query(sql, [orderId, id]);
+    if (result.affectedRows === 0) {
+      throw createError(409, 'Inquiry is already converted or closed');
+    }
+    
+    await InquiryNote.record({ inquiryId: id, userId, note: `Converted to order ${orderNumber}` }, executor);
+  }
+
+  // Soft delete inquiry
   static async delete(id) {
-    const sql = 'DELETE FROM inquiries WHERE id = ?';
-    await db.query(sql, [id]);
-    return true;
+    const sql = 'UPDATE inquiries SET deletedAt = NOW() WHERE id = ? AND deletedAt IS NULL';
+    const result = await db.query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Restore a soft deleted inquiry
+  static async restore(id) {
+    const sql = 'UPDATE inquiries SET deletedAt = NULL WHERE id = ? AND deletedAt IS NOT NULL';
+    const result = await db.query(sql, [id]);
+    if (result.affectedRows === 0) return null;
+    
+    return this.findById(id);
   }
 
-  // Get statistics
+  // Permanently remove inquiries soft deleted more than `days` ago
+  static async purgeDeleted(days) {
+    const result = await db.query(
+      'DELETE FROM inquiries WHERE deletedAt < DATE_SUB(NOW(), INTERVAL ? DAY)',
+      [days]
+    );
+    return result.affectedRows;
+  }
+
+  // Get statistics (unassigned counts open inquiries nobody has picked up)
   static async getStats() {
     const sql = `
       SELECT 
         COUNT(*) as total,
         SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
-        SUM(CASE WHEN status = 'resolved' THEN 1 ELSE 0 END) as resolved
+        SUM(CASE WHEN status = 'in-progress' THEN 1 ELSE 0 END) as inProgress,
+        SUM(CASE WHEN status = 'resolved' THEN 1 ELSE 0 END) as resolved,
+        SUM(CASE WHEN status = 'closed' THEN 1 ELSE 0 END) as closed,
+        SUM(CASE WHEN status IN (?) AND assigned_to IS NULL THEN 1 ELSE 0 END) as unassigned,
+        SUM(CASE WHEN DATE(createdAt) = CURDATE() THEN 1 ELSE 0 END) as today
       FROM inquiries
+      WHERE deletedAt IS NULL
+    `;
+    
+    const result = await db.query(sql, [OPEN_INQUIRY_STATUSES]);
+    return result[0] || {
+      total: 0, pending: 0, inProgress: 0, resolved: 0, closed: 0, unassigned: 0, today: 0
+    };
+  }
+
+  // Inquiry → order conversion, optionally limited to inquiries received in a date range.
+  // Orders that were deleted since do not count; revenue leaves out cancelled/returned/rto orders.
+  static async getConversionStats({ startDate, endDate } = {}) {
+    const where = whereBuilder().add('i.deletedAt IS NULL');
+    if (startDate && endDate) {
+      where.add('DATE(i.createdAt) BETWEEN ? AND ?', startDate, endDate);
+    }
+    const { where: whereSql, params } = where.build();
+    
+    const sql = `
+      SELECT 
+        COUNT(*) as inquiries,
+        COUNT(o.id) as converted,
+        SUM(CASE WHEN o.id IS NOT NULL AND o.status NOT IN (?) THEN 1 ELSE 0 END) as billable_orders,
+        COALESCE(SUM(CASE WHEN o.status NOT IN (?) THEN o.total_amount END), 0) as revenue,
+        AVG(TIMESTAMPDIFF(HOUR, i.createdAt, o.createdAt)) as avg_hours_to_convert
+      FROM inquiries i
+      LEFT JOIN orders o ON o.id = i.order_id AND o.deletedAt IS NULL
+      ${whereSql}
+    `;
+    
+    const result = await db.query(sql, [VOID_STATUSES, VOID_STATUSES, ...params]);
+    return result[0];
+  }
+
+  // Inquiries received and converted per month (last 6 months)
+  static async getMonthlyConversions() {
+    const sql = `
+      SELECT 
+        MONTH(i.createdAt) as month,
+        YEAR(i.createdAt) as year,
+        COUNT(*) as inquiries,
+        COUNT(o.id) as converted
+      FROM inquiries i
+      LEFT JOIN orders o ON o.id = i.order_id AND o.deletedAt IS NULL
+      WHERE i.createdAt >= DATE_SUB(CURDATE(), INTERVAL 6 MONTH) AND i.deletedAt IS NULL
+      GROUP BY YEAR(i.createdAt), MONTH(i.createdAt)
+      ORDER BY year DESC, month DESC
     `;
     
-    const result = await db.query(sql);
-    return result[0] || { total: 0, pending: 0, resolved: 0 };
+    return await db.query(sql);
   }
 }
 
@@ -0,0 +1,40 @@
+const db = require('../../database');
+
+// Staff notes on an inquiry: replies sent to the customer and internal remarks
+class InquiryNote {
+  // Add a note (pass a transaction executor to write atomically with a status change)
+  static async record({ inquiryId, userId = null, note }, executor = db) {
+    const sql = 'INSERT INTO inquiry_notes (inquiry_id, user_id, note) VALUES (?, ?, ?)';
+    const result = await executor.query(sql, [inquiryId, userId, note]);
+    return result.insertId;
+  }
+
+  // Find a note by ID (with its author)
+  static async findById(id) {
+    const sql = `
+      SELECT n.*, u.fullName as author
+      FROM inquiry_notes n
+      LEFT JOIN users u ON u.id = n.user_id
+      WHERE n.id = ?
+      LIMIT 1
+    `;
+
+    const notes = await db.query(sql, [id]);
+    return notes[0] || null;
+  }
+
+  // Get every note of an inquiry, oldest first
+  static async getByInquiryId(inquiryId) {
+    const sql = `
+      SELECT n.id, n.inquiry_id, n.user_id, u.fullName as author, n.note, n.createdAt
+      FROM inquiry_notes n
+      LEFT JOIN users u ON u.id = n.user_id
+      WHERE n.inquiry_id = ?
+      ORDER BY n.createdAt ASC, n.id ASC
+    `;
+
+    return await db.query(sql, [inquiryId]);
+  }
+}
+
+module.exports = InquiryNote;
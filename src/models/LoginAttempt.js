@@ -0,0 +1,47 @@
+const db = require('../../database');
+
+// Audit trail of failed logins; also the source of the per-IP failure count
+class LoginAttempt {
+  // Record a failed login
+  static async record({ userId = null, identifier, ip, userAgent = null, reason }) {
+    const sql = `
+      INSERT INTO login_attempts (user_id, identifier, ip, user_agent, reason)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const result = await db.query(sql, [
+      userId,
+      String(identifier || '').slice(0, 255),
+      ip || 'unknown',
+      userAgent ? String(userAgent).slice(0, 255) : null,
+      reason
+    ]);
+    return result.insertId;
+  }
+
+  // Failures from an IP within the last `minutes`
+  static async countRecentByIp(ip, minutes) {
+    const sql = `
+      SELECT COUNT(*) as count FROM login_attempts
+      WHERE ip = ? AND createdAt >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+    `;
+
+    const rows = await db.query(sql, [ip, minutes]);
+    return rows[0].count;
+  }
+
+  // Recent failures for an account, newest first
+  static async getByUserId(userId, limit = 50) {
+    const sql = `
+      SELECT id, identifier, ip, user_agent, reason, createdAt
+      FROM login_attempts
+      WHERE user_id = ?
+      ORDER BY createdAt DESC, id DESC
+      LIMIT ?
+    `;
+
+    return await db.query(sql, [userId, Math.min(Math.max(parseInt(limit) || 50, 1), 200)]);
+  }
+}
+
+module.exports = LoginAttempt;
@@ -1,4 +1,16 @@
 const db = require('../../database');
+const Product = require('./Product');
+const OrderItem = require('./OrderItem');
+const OrderStatusHistory = require('./OrderStatusHistory');
+const Customer = require('./Customer');
+const Sequence = require('./Sequence');
+const Inquiry = require('./Inquiry');
+const { isValidMobile, normalizeMobile } = require('../utils/phone');
+const { paginate } = require('../utils/pagination');
+const { whereBuilder, buildListQuery } = require('../utils/queryBuilder');
+const { VOID_STATUSES } = require('../utils/orderStatus');
+const { roundMoney, priceLine, calculateTotals } = require('../utils/pricing');
+const { createError } = require('../utils/httpError');
 
 class Order {
   // Validate order data
@@ -13,149 +25,323 @@ class Order {
       errors.push('Valid address is required');
     }
     
-    if (!data.mobile || !/^[0-9]{10,15}$/.test(data.mobile.replace(/[\s\-\+]/g, ''))) {
+    if (!isValidMobile(data.mobile)) {
       errors.push('Valid mobile number is required');
     }
     
-    if (!data.product_id) {
-      errors.push('Product ID is required');
+    if (Array.isArray(data.items)) {
+      if (data.items.length === 0) {
+        errors.push('At least one item is required');
+      }
+      
+      data.items.forEach((item, index) => {
+        if (!item.product_id) {
+          errors.push(`Product ID is required for item ${index + 1}`);
+        }
+        
+        if (!item.quantity || parseInt(item.quantity) < 1) {
+          errors.push(`Valid quantity is required for item ${index + 1}`);
+        }
+      });
+    } else {
+      if (!data.product_id) {
+        errors.push('Product ID is required');
+      }
+      
+      if (!data.quantity || parseInt(data.quantity) < 1) {
+        errors.push('Valid quantity is required');
+      }
     }
     
-    if (!data.quantity || parseInt(data.quantity) < 1) {
-      errors.push('Valid quantity is required');
+    return errors;
+  }
+
+  // Requested lines from order data (single product_id/quantity orders become one line)
+  static requestedItems(data) {
+    if (Array.isArray(data.items)) {
+      return data.items;
     }
     
-    return errors;
+    return [{ product_id: data.product_id, quantity: data.quantity }];
+  }
+
+  // Price requested lines from the products table. Repeated products are merged, and
+  // products already on the order keep their unit price snapshot.
+  static async priceItems(requestedItems, existingItems = []) {
+    const quantities = new Map();
+    
+    requestedItems.forEach(item => {
+      const quantity = parseInt(item.quantity);
+      quantities.set(item.product_id, (quantities.get(item.product_id) || 0) + quantity);
+    });
+    
+    const items = [];
+    
+    for (const [productId, quantity] of quantities) {
+      const snapshot = existingItems.find(item => item.product_id === productId);
+      
+      if (snapshot) {
+        items.push({
+          product_id: productId,
+          product_name: snapshot.product_name,
+          quantity,
+          unit_price: roundMoney(snapshot.unit_price),
+          line_total: roundMoney(snapshot.unit_price * quantity)
+        });
+        continue;
+      }
+      
+      const product = await Product.findByProductId(productId);
+      if (!product) {
+        throw createError(400, `Product not found: ${productId}`);
+      }
+      
+      items.push(priceLine(product, quantity));
+    }
+    
+    return items;
+  }
+
+  // Pricing breakdown for a set of lines; rejects discounts outside 0..subtotal
+  static priceOrder(items, { deliveryFee = null, discount = 0 } = {}) {
+    const totals = calculateTotals(items, { deliveryFee, discount });
+    
+    if (totals.discount < 0 || totals.discount > totals.subtotal) {
+      throw createError(400, 'Discount must be between 0 and the order subtotal');
+    }
+    
+    return totals;
+  }
+
+  // Summarise line items into the order's product_id/product_name/quantity columns
+  static summarizeItems(items) {
+    const [first] = items;
+    const productName = items.length > 1
+      ? `${first.product_name} +${items.length - 1} more`
+      : first.product_name;
+    
+    return {
+      product_id: first.product_id,
+      product_name: productName.substring(0, 200),
+      quantity: items.reduce((sum, item) => sum + item.quantity, 0)
+    };
   }
 
   // Generate order ID
-  static generateOrderId() {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `ORD${year}${month}${day}${random}`;
+  static async generateOrderId() {
+    return await Sequence.nextIdentifier('order');
   }
 
-  // Create order with validation
-  static async create(orderData) {
+  // Create order with validation; inquiryId links the order to the inquiry it was converted from
+  static async create(orderData, { userId = null, inquiryId = null } = {}) {
     // Validate input
     const errors = this.validateOrderData(orderData);
     if (errors.length > 0) {
-      throw new Error(errors.join(', '));
+      throw createError(400, errors.join(', '));
     }
 
-    const orderId = this.generateOrderId();
     const { 
       fullName, 
       address, 
       mobile, 
-      product_id, 
-      product_name, 
-      quantity, 
       status = 'received',
-      notes = '',
-      total_amount 
+      notes = ''
     } = orderData;
 
+    // Prices always come from the products table, never from the request
+    const items = await this.priceItems(this.requestedItems(orderData));
+    const totals = this.priceOrder(items, { discount: orderData.discount });
+
     const sanitizedData = {
-      orderId,
       fullName: fullName.trim(),
       address: address.trim(),
-      mobile: mobile.replace(/[\s\-]/g, ''),
-      product_id,
-      product_name: product_name || '',
-      quantity: parseInt(quantity),
+      mobile: normalizeMobile(mobile),
+      ...this.summarizeItems(items),
       status,
       notes: notes.trim(),
-      total_amount: total_amount || parseInt(quantity) * 10000
+      ...totals
     };
 
     const sql = `
       INSERT INTO orders 
-      (order_id, fullName, address, mobile, product_id, product_name, quantity, status, notes, total_amount)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (order_id, customer_id, fullName, address, mobile, product_id, product_name, quantity, status, notes, 
+       subtotal, delivery_fee, discount, total_amount)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
-    const result = await db.query(sql, [
-      sanitizedData.orderId,
-      sanitizedData.fullName,
-      sanitizedData.address,
-      sanitizedData.mobile,
-      sanitizedData.product_id,
-      sanitizedData.product_name,
-      sanitizedData.quantity,
-      sanitizedData.status,
-      sanitizedData.notes,
-      sanitizedData.total_amount
-    ]);
-    
-    return this.findById(result.insertId);
+    // Order numbers come from a per-day sequence; a taken number is retried with the next one
+    const insertId = await Sequence.withIdentifier('order', (orderId) => db.transaction(async (conn) => {
+      // Orders are linked to one customer per mobile number
+      const customerId = await Customer.findOrCreate(sanitizedData, conn);
+      
+      const result = await conn.query(sql, [
+        orderId,
+        customerId,
+        sanitizedData.fullName,
+        sanitizedData.address,
+        sanitizedData.mobile,
+        sanitizedData.product_id,
+        sanitizedData.product_name,
+        sanitizedData.quantity,
+        sanitizedData.status,
+        sanitizedData.notes,
+        sanitizedData.subtotal,
+        sanitizedData.delivery_fee,
+        sanitizedData.discount,
+        sanitizedData.total_amount
+      ]);
+
+      await OrderItem.createMany(result.insertId, items, conn);
+
+      // Reserve stock in the same transaction so an oversell rolls the order back
+      if (!VOID_STATUSES.includes(sanitizedData.status)) {
+        await Product.reserveStock(items, { orderId: result.insertId, userId }, conn);
+      }
+
+      await OrderStatusHistory.record({
+        orderId: result.insertId,
+        toStatus: sanitizedData.status,
+        userId
+      }, conn);
+
+      if (inquiryId) {
+        await Inquiry.linkOrder(inquiryId, { orderId: result.insertId, orderNumber: orderId, userId }, conn);
+      }
+
+      return result.insertId;
+    }));
+    
+    return this.findById(insertId);
   }
 
-  // Find order by ID
-  static async findById(id) {
-    const sql = 'SELECT * FROM orders WHERE id = ? LIMIT 1';
+  // Find order by ID (with line items); soft deleted orders only with includeDeleted
+  static async findById(id, { includeDeleted = false } = {}) {
+    const sql = `SELECT * FROM orders WHERE id = ?${includeDeleted ? '' : ' AND deletedAt IS NULL'} LIMIT 1`;
     const orders = await db.query(sql, [id]);
-    return orders[0] || null;
+    
+    if (!orders[0]) return null;
+    
+    orders[0].items = await OrderItem.getByOrderId(id);
+    return orders[0];
   }
 
   // Find order by order_id
   static async findByOrderId(orderId) {
-    const sql = 'SELECT * FROM orders WHERE order_id = ? LIMIT 1';
+    const sql = 'SELECT * FROM orders WHERE order_id = ? AND deletedAt IS NULL LIMIT 1';
     const orders = await db.query(sql, [orderId]);
     return orders[0] || null;
   }
 
-  // Get all orders with optimized query
-  static async getAll(filters = {}) {
-    let sql = 'SELECT * FROM orders';
-    const params = [];
-    const conditions = [];
+  // Get all orders matching the filters (see buildFilters)
+  // sort: whitelisted entries from buildOrderSort (defaults to newest first)
+  static async getAll(filters = {}, sort) {
+    const { where, params } = this.buildFilters(filters);
+    const query = buildListQuery({ from: 'orders', where, params, sort, limit: filters.limit });
     
-    if (filters.status) {
-      conditions.push('status = ?');
-      params.push(filters.status);
+    return await db.query(query.sql, query.params);
+  }
+
+  // Get one page of orders ({ rows, total, page, pageSize, nextCursor })
+  // sort: whitelisted entries from buildOrderSort (defaults to newest first)
+  static async getPage(filters = {}, pagination, sort) {
+    const { where, params } = this.buildFilters(filters);
+    return await paginate(db.query, { from: 'orders', where, params, sort }, pagination);
+  }
+
+  // Build the WHERE clause for list filters (soft deleted orders are left out unless includeDeleted)
+  static buildFilters(filters = {}) {
+    const where = whereBuilder();
+    
+    if (!filters.includeDeleted) {
+      where.add('deletedAt IS NULL');
     }
     
+    where
+      .when(filters.status, Array.isArray(filters.status) ? 'status IN (?)' : 'status = ?')
+      .when(filters.customerId, 'customer_id = ?')
+      .when(filters.courierId, 'courier_id = ?');
+    
     if (filters.search) {
-      conditions.push('(fullName LIKE ? OR mobile LIKE ? OR order_id LIKE ?)');
       const searchTerm = `%${filters.search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+      // "0771234567" should find orders stored as +94771234567
+      where.add(
+        '(fullName LIKE ? OR mobile LIKE ? OR order_id LIKE ?)',
+        searchTerm, `%${normalizeMobile(filters.search) || filters.search}%`, searchTerm
+      );
     }
     
     if (filters.startDate && filters.endDate) {
-      conditions.push('DATE(createdAt) BETWEEN ? AND ?');
-      params.push(filters.startDate, filters.endDate);
+      where.add('DATE(createdAt) BETWEEN ? AND ?', filters.startDate, filters.endDate);
     }
     
-    if (conditions.length > 0) {
-      sql += ' WHERE ' + conditions.join(' AND ');
+    // Orders containing any of the products (on any line)
+    where
+      .when(filters.productIds, 'id IN (SELECT order_id FROM order_items WHERE product_id IN (?))')
+      .when(filters.district, 'address LIKE ?', `%${filters.district}%`)
+      .when(filters.minAmount, 'COALESCE(total_amount, 0) >= ?')
+      .when(filters.maxAmount, 'COALESCE(total_amount, 0) <= ?')
+      .when(filters.minQuantity, 'quantity >= ?')
+      .when(filters.maxQuantity, 'quantity <= ?')
+      .when(filters.createdFrom, 'DATE(createdAt) >= ?')
+      .when(filters.createdTo, 'DATE(createdAt) <= ?')
+      .when(filters.updatedFrom, 'DATE(updatedAt) >= ?')
+      .when(filters.updatedTo, 'DATE(updatedAt) <= ?');
+    
+    return where.build();
+  }
+
+  // Update order (pass `items` to replace the line items)
+  static async update(id, updateData, { userId = null } = {}) {
+    const order = await this.findById(id);
+    if (!order) return null;
+    
+    // Line changes are repriced server-side; client totals are ignored
+    let items = null;
+    
+    if (Array.isArray(updateData.items)) {
+      items = await this.priceItems(updateData.items, order.items);
+    } else if ((updateData.product_id !== undefined || updateData.quantity !== undefined) && order.items.length <= 1) {
+      items = await this.priceItems([{
+        product_id: updateData.product_id ?? order.product_id,
+        quantity: updateData.quantity ?? order.quantity
+      }], order.items);
     }
     
-    sql += ' ORDER BY createdAt DESC';
+    const { 
+      product_id, product_name, quantity, items: _items, 
+      subtotal, delivery_fee, discount, total_amount, 
+      ...data 
+    } = updateData;
     
-    if (filters.limit) {
-      sql += ' LIMIT ?';
-      params.push(parseInt(filters.limit));
+    if (items || discount !== undefined) {
+      Object.assign(
+        data,
+        this.summarizeItems(items || order.items),
+        this.priceOrder(items || order.items, {
+          deliveryFee: order.delivery_fee,
+          discount: discount ?? order.discount
+        })
+      );
+    }
+    
+    if (data.mobile !== undefined) {
+      data.mobile = normalizeMobile(data.mobile);
+      if (!data.mobile) {
+        throw createError(400, 'Valid mobile number is required');
+      }
     }
     
-    return await db.query(sql, params);
-  }
-
-  // Update order
-  static async update(id, updateData) {
     const fields = [];
     const values = [];
     
     const allowedFields = ['fullName', 'address', 'mobile', 'product_id', 'product_name', 
-                          'quantity', 'status', 'notes', 'total_amount'];
+                          'quantity', 'status', 'notes', 'subtotal', 'delivery_fee', 
+                          'discount', 'total_amount'];
     
     allowedFields.forEach(field => {
-      if (updateData[field] !== undefined) {
+      if (data[field] !== undefined) {
         fields.push(`${field} = ?`);
-        values.push(updateData[field]);
+        values.push(data[field]);
       }
     });
     
@@ -164,25 +350,130 @@ class Order {
     values.push(id);
     const sql = `UPDATE orders SET ${fields.join(', ')} WHERE id = ?`;
     
-    await db.query(sql, values);
+    // Voided orders hold no stock; active orders hold stock for their current lines
+    const wasActive = !VOID_STATUSES.includes(order.status);
+    const isActive = !VOID_STATUSES.includes(data.status ?? order.status);
+    
+    await db.transaction(async (conn) => {
+      // A new mobile number moves the order to that number's customer
+      if (data.mobile !== undefined && data.mobile !== order.mobile) {
+        const customerId = await Customer.findOrCreate({
+          fullName: data.fullName ?? order.fullName,
+          mobile: data.mobile,
+          address: data.address ?? order.address
+        }, conn);
+        await conn.query('UPDATE orders SET customer_id = ? WHERE id = ?', [customerId, id]);
+      }
+      
+      await conn.query(sql, values);
+      
+      if (items) {
+        await OrderItem.deleteByOrderId(id, conn);
+        await OrderItem.createMany(id, items, conn);
+      }
+      
+      if (items || wasActive !== isActive) {
+        if (wasActive) {
+          await Product.releaseStock(order.items, { orderId: id, userId, note: 'Order updated' }, conn);
+        }
+        if (isActive) {
+          await Product.reserveStock(items || order.items, { orderId: id, userId }, conn);
+        }
+      }
+      
+      if (data.status !== undefined && data.status !== order.status) {
+        await OrderStatusHistory.record({
+          orderId: id,
+          fromStatus: order.status,
+          toStatus: data.status,
+          userId
+        }, conn);
+      }
+    });
+    
     return this.findById(id);
   }
 
-  // Update order status
-  static async updateStatus(id, status) {
-    const sql = 'UPDATE orders SET status = ? WHERE id = ?';
-    await db.query(sql, [status, id]);
+  // Update order status and record the transition
+  static async updateStatus(id, status, { userId = null, note = null, reasonCode = null } = {}) {
+    const order = await this.findById(id);
+    if (!order) return null;
+    
+    await db.transaction(async (conn) => {
+      await conn.query('UPDATE orders SET status = ?, reason_code = ? WHERE id = ?', [status, reasonCode, id]);
+      
+      // Cancelled, returned and rto orders put their stock back
+      if (VOID_STATUSES.includes(status) && !VOID_STATUSES.includes(order.status)) {
+        await Product.releaseStock(order.items, { orderId: id, userId, note: reasonCode }, conn);
+      }
+      
+      await OrderStatusHistory.record({
+        orderId: id,
+        fromStatus: order.status,
+        toStatus: status,
+        userId,
+        reasonCode,
+        note
+      }, conn);
+    });
+    
     return this.findById(id);
   }
 
-  // Delete order
-  static async delete(id) {
-    const sql = 'DELETE FROM orders WHERE id = ?';
-    await db.query(sql, [id]);
+  // Assign an order to a courier user (null unassigns)
+  static async assignCourier(id, courierId) {
+    const result = await db.query('UPDATE orders SET courier_id = ? WHERE id = ? AND deletedAt IS NULL', [courierId, id]);
+    if (result.affectedRows === 0) return null;
+    
+    return this.findById(id);
+  }
+
+  // Get status history for an order
+  static async getStatusHistory(id) {
+    return await OrderStatusHistory.getByOrderId(id);
+  }
+
+  // Soft delete order (stock held by an active order is released first)
+  static async delete(id, { userId = null } = {}) {
+    const order = await this.findById(id);
+    if (!order) return false;
+    
+    await db.transaction(async (conn) => {
+      if (!VOID_STATUSES.includes(order.status)) {
+        await Product.releaseStock(order.items, { orderId: id, userId, note: 'Order deleted' }, conn);
+      }
+      await conn.query('UPDATE orders SET deletedAt = NOW() WHERE id = ?', [id]);
+    });
+    
     return true;
   }
 
-  // Get dashboard statistics
+  // Restore a soft deleted order; an active order takes its stock again, so a sold-out
+  // product fails the restore with 409
+  static async restore(id, { userId = null } = {}) {
+    const order = await this.findById(id, { includeDeleted: true });
+    if (!order || !order.deletedAt) return null;
+    
+    await db.transaction(async (conn) => {
+      if (!VOID_STATUSES.includes(order.status)) {
+        await Product.reserveStock(order.items, { orderId: id, userId }, conn);
+      }
+      await conn.query('UPDATE orders SET deletedAt = NULL WHERE id = ?', [id]);
+    });
+    
+    return this.findById(id);
+  }
+
+  // Permanently remove orders soft deleted more than `days` ago (lines and history cascade)
+  static async purgeDeleted(days) {
+    const result = await db.query(
+      'DELETE FROM orders WHERE deletedAt < DATE_SUB(NOW(), INTERVAL ? DAY)',
+      [days]
+    );
+    return result.affectedRows;
+  }
+
+  // Get dashboard statistics (cancelled/returned/rto orders are counted separately and earn no revenue)
   static async getDashboardStats() {
     const sql = `
       SELECT 
@@ -191,16 +482,22 @@ class Order {
         SUM(CASE WHEN status = 'received' THEN 1 ELSE 0 END) as received,
         SUM(CASE WHEN status = 'issued' THEN 1 ELSE 0 END) as issued,
         SUM(CASE WHEN status IN ('sended', 'in-transit', 'delivered') THEN 1 ELSE 0 END) as courier,
+        SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled,
+        SUM(CASE WHEN status = 'returned' THEN 1 ELSE 0 END) as returned,
+        SUM(CASE WHEN status = 'rto' THEN 1 ELSE 0 END) as rto,
         SUM(CASE WHEN DATE(createdAt) = CURDATE() THEN 1 ELSE 0 END) as today,
         SUM(CASE WHEN MONTH(createdAt) = MONTH(CURDATE()) AND YEAR(createdAt) = YEAR(CURDATE()) THEN 1 ELSE 0 END) as monthly,
-        SUM(total_amount) as total_revenue
+        COALESCE(SUM(CASE WHEN status NOT IN (?) THEN total_amount ELSE 0 END), 0) as total_revenue,
+        COALESCE(SUM(CASE WHEN status IN (?) THEN total_amount ELSE 0 END), 0) as lost_revenue
       FROM orders
+      WHERE deletedAt IS NULL
     `;
     
-    const result = await db.query(sql);
+    const result = await db.query(sql, [VOID_STATUSES, VOID_STATUSES]);
     return result[0] || {
-      total: 0, pending: 0, received: 0, issued: 0, 
-      courier: 0, today: 0, monthly: 0, total_revenue: 0
+      total: 0, pending: 0, received: 0, issued: 0, courier: 0,
+      cancelled: 0, returned: 0, rto: 0,
+      today: 0, monthly: 0, total_revenue: 0, lost_revenue: 0
     };
   }
 
@@ -213,7 +510,7 @@ class Order {
         COUNT(*) as order_count,
         SUM(total_amount) as total_revenue
       FROM orders 
-      WHERE createdAt >= DATE_SUB(CURDATE(), INTERVAL 7 DAY)
+      WHERE createdAt >= DATE_SUB(CURDATE(), INTERVAL 7 DAY) AND deletedAt IS NULL
       GROUP BY DATE(createdAt), DAYNAME(createdAt)
       ORDER BY date ASC
     `;
@@ -225,6 +522,7 @@ class Order {
   static async getRecentOrders(limit = 5) {
     const sql = `
       SELECT * FROM orders 
+      WHERE deletedAt IS NULL
       ORDER BY createdAt DESC 
       LIMIT ?
     `;
@@ -236,47 +534,51 @@ class Order {
   static async getOrdersByStatus(status) {
     const sql = `
       SELECT * FROM orders 
-      WHERE status = ? 
+      WHERE status = ? AND deletedAt IS NULL
       ORDER BY createdAt DESC
     `;
     
     return await db.query(sql, [status]);
   }
 
-  // Get analytics data
+  // Get analytics data (revenue and averages exclude cancelled/returned/rto orders)
   static async getAnalyticsData() {
     const sql = `
       SELECT 
         MONTH(createdAt) as month,
         YEAR(createdAt) as year,
-        COUNT(*) as order_count,
-        SUM(total_amount) as revenue,
-        AVG(total_amount) as avg_order_value
+        SUM(CASE WHEN status NOT IN (?) THEN 1 ELSE 0 END) as order_count,
+        COALESCE(SUM(CASE WHEN status NOT IN (?) THEN total_amount ELSE 0 END), 0) as revenue,
+        AVG(CASE WHEN status NOT IN (?) THEN total_amount END) as avg_order_value,
+        SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled_count,
+        SUM(CASE WHEN status IN ('returned', 'rto') THEN 1 ELSE 0 END) as returned_count
       FROM orders 
-      WHERE createdAt >= DATE_SUB(CURDATE(), INTERVAL 6 MONTH)
+      WHERE createdAt >= DATE_SUB(CURDATE(), INTERVAL 6 MONTH) AND deletedAt IS NULL
       GROUP BY YEAR(createdAt), MONTH(createdAt)
       ORDER BY year DESC, month DESC
     `;
     
-    return await db.query(sql);
+    return await db.query(sql, [VOID_STATUSES, VOID_STATUSES, VOID_STATUSES]);
   }
 
-  // Get top products
+  // Get top products by line items (cancelled/returned/rto orders excluded)
   static async getTopProducts(limit = 5) {
     const sql = `
       SELECT 
-        product_id,
-        product_name,
-        SUM(quantity) as total_quantity,
-        SUM(total_amount) as total_revenue,
-        COUNT(*) as order_count
-      FROM orders 
-      GROUP BY product_id, product_name
+        oi.product_id,
+        MAX(oi.product_name) as product_name,
+        SUM(oi.quantity) as total_quantity,
+        SUM(oi.line_total) as total_revenue,
+        COUNT(DISTINCT oi.order_id) as order_count
+      FROM order_items oi
+      INNER JOIN orders o ON o.id = oi.order_id
+      WHERE o.status NOT IN (?) AND o.deletedAt IS NULL
+      GROUP BY oi.product_id
       ORDER BY total_revenue DESC
       LIMIT ?
     `;
     
-    return await db.query(sql, [limit]);
+    return await db.query(sql, [VOID_STATUSES, limit]);
   }
 }
 
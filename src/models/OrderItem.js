@@ -0,0 +1,39 @@
+const db = require('../../database');
+
+class OrderItem {
+  // Insert line items for an order (pass a transaction executor to write atomically with the order)
+  static async createMany(orderId, items, executor = db) {
+    const sql = `
+      INSERT INTO order_items 
+      (order_id, product_id, product_name, quantity, unit_price, line_total)
+      VALUES ?
+    `;
+    
+    const rows = items.map(item => [
+      orderId,
+      item.product_id,
+      item.product_name || '',
+      item.quantity,
+      item.unit_price,
+      item.line_total
+    ]);
+    
+    await executor.query(sql, [rows]);
+    return true;
+  }
+
+  // Get line items for an order
+  static async getByOrderId(orderId) {
+    const sql = 'SELECT * FROM order_items WHERE order_id = ? ORDER BY id ASC';
+    return await db.query(sql, [orderId]);
+  }
+
+  // Remove all line items of an order
+  static async deleteByOrderId(orderId, executor = db) {
+    const sql = 'DELETE FROM order_items WHERE order_id = ?';
+    await executor.query(sql, [orderId]);
+    return true;
+  }
+}
+
+module.exports = OrderItem;
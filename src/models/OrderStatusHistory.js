@@ -0,0 +1,48 @@
+const db = require('../../database');
+
+class OrderStatusHistory {
+  // Record a status change (pass a transaction executor to write atomically with the order update)
+  static async record(entry, executor = db) {
+    const {
+      orderId,
+      fromStatus = null,
+      toStatus,
+      userId = null,
+      reasonCode = null,
+      note = null
+    } = entry;
+
+    const sql = `
+      INSERT INTO order_status_history
+      (order_id, from_status, to_status, user_id, reason_code, note)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await executor.query(sql, [orderId, fromStatus, toStatus, userId, reasonCode, note]);
+    return result.insertId;
+  }
+
+  // Get full history for an order, oldest first
+  static async getByOrderId(orderId) {
+    const sql = `
+      SELECT
+        h.id,
+        h.order_id,
+        h.from_status,
+        h.to_status,
+        h.user_id,
+        u.fullName as changed_by,
+        h.reason_code,
+        h.note,
+        h.createdAt
+      FROM order_status_history h
+      LEFT JOIN users u ON u.id = h.user_id
+      WHERE h.order_id = ?
+      ORDER BY h.createdAt ASC, h.id ASC
+    `;
+
+    return await db.query(sql, [orderId]);
+  }
+}
+
+module.exports = OrderStatusHistory;
@@ -0,0 +1,75 @@
+const db = require('../../database');
+const { generateOpaqueToken, hashToken } = require('../utils/jwt');
+
+const DEFAULT_RESET_EXPIRE_MINUTES = 30;
+
+const getExpireMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || DEFAULT_RESET_EXPIRE_MINUTES;
+
+// Single-use password reset tokens. Only a hash is stored; a new request replaces any unused token.
+// expires_at is written from Node's clock, so it is always compared with Node's clock (never NOW(),
+// which follows the database session time zone).
+class PasswordResetToken {
+  // Issue a reset token for a user; returns the plain token
+  static async create(userId, { ip = null } = {}) {
+    const token = generateOpaqueToken();
+    const expiresAt = new Date(Date.now() + getExpireMinutes() * 60 * 1000);
+
+    await db.transaction(async (executor) => {
+      await this.invalidateForUser(userId, executor);
+      await executor.query(
+        'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip) VALUES (?, ?, ?, ?)',
+        [userId, hashToken(token), expiresAt, ip]
+      );
+    });
+
+    return { token, expiresAt };
+  }
+
+  // Unused, unexpired row for a plain token
+  static async findValid(token) {
+    const sql = `
+      SELECT * FROM password_reset_tokens
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+      LIMIT 1
+    `;
+
+    const rows = await db.query(sql, [hashToken(token), new Date()]);
+    return rows[0] || null;
+  }
+
+  // Mark a token used; false if it was used (or expired) in the meantime
+  static async consume(id) {
+    const sql = `
+      UPDATE password_reset_tokens SET used_at = NOW()
+      WHERE id = ? AND used_at IS NULL AND expires_at > ?
+    `;
+
+    const result = await db.query(sql, [id, new Date()]);
+    return result.affectedRows > 0;
+  }
+
+  // Whether a token was requested for the user within the last `seconds`
+  static async requestedRecently(userId, seconds) {
+    const sql = `
+      SELECT COUNT(*) as count FROM password_reset_tokens
+      WHERE user_id = ? AND createdAt > DATE_SUB(NOW(), INTERVAL ? SECOND)
+    `;
+
+    const rows = await db.query(sql, [userId, seconds]);
+    return rows[0].count > 0;
+  }
+
+  // Expire every unused token of a user
+  static async invalidateForUser(userId, executor = db) {
+    const sql = 'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL';
+    await executor.query(sql, [userId]);
+  }
+
+  // Remove tokens that can no longer be used
+  static async purgeExpired() {
+    const result = await db.query('DELETE FROM password_reset_tokens WHERE expires_at < ?', [new Date()]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = PasswordResetToken;
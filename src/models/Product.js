@@ -1,81 +1,139 @@
 const db = require('../../database');
+const StockMovement = require('./StockMovement');
+const Sequence = require('./Sequence');
+const { createError } = require('../utils/httpError');
+const { VOID_STATUSES } = require('../utils/orderStatus');
+const { paginate } = require('../utils/pagination');
+const { whereBuilder, buildListQuery } = require('../utils/queryBuilder');
+
+// Products at or below their reorder threshold are reported as low stock
+const DEFAULT_REORDER_THRESHOLD = 10;
+
+// Window used for sales velocity
+const VELOCITY_DAYS = 30;
 
 class Product {
   // Generate product ID
-  static generateProductId() {
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    return `PROD${random}`;
+  static async generateProductId() {
+    return await Sequence.nextIdentifier('product');
   }
 
   // Create product
   static async create(productData) {
-    const productId = productData.product_id || this.generateProductId();
     const { 
       name, 
       description = '', 
       price = 10000.00, 
       status = 'available', 
       category = '', 
-      image = '' 
+      image = '',
+      stock_quantity = null,
+      reorder_threshold = DEFAULT_REORDER_THRESHOLD,
+      userId = null
     } = productData;
 
     const sql = `
       INSERT INTO products 
-      (product_id, name, description, price, status, category, image)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      (product_id, name, description, price, status, category, image, stock_quantity, reorder_threshold)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
-    const result = await db.query(sql, [
-      productId, name, description, price, status, category, image
-    ]);
+    // Stock is only tracked when an opening quantity is given
+    const stock = stock_quantity === null || stock_quantity === undefined ? null : parseInt(stock_quantity);
+    
+    const insertProduct = (productId) => db.transaction(async (conn) => {
+      const result = await conn.query(sql, [
+        productId, name, description, price, status, category, image, stock, parseInt(reorder_threshold)
+      ]);
+      
+      if (stock !== null) {
+        await StockMovement.record({
+          productId,
+          type: 'receipt',
+          change: stock,
+          balanceAfter: stock,
+          userId,
+          note: 'Opening stock'
+        }, conn);
+      }
+      
+      return result.insertId;
+    });
     
-    return this.findById(result.insertId);
+    // Generated IDs come from a sequence; a client-supplied ID is used as is
+    const insertId = productData.product_id
+      ? await insertProduct(productData.product_id)
+      : await Sequence.withIdentifier('product', insertProduct);
+    
+    return this.findById(insertId);
   }
 
-  // Find product by ID
-  static async findById(id) {
-    const sql = 'SELECT * FROM products WHERE id = ? LIMIT 1';
+  // Find product by ID; soft deleted products only with includeDeleted
+  static async findById(id, { includeDeleted = false } = {}) {
+    const sql = `SELECT * FROM products WHERE id = ?${includeDeleted ? '' : ' AND deletedAt IS NULL'} LIMIT 1`;
     const products = await db.query(sql, [id]);
     return products[0] || null;
   }
 
-  // Find product by product_id
+  // Find product by product_id (deleted products cannot be ordered)
   static async findByProductId(productId) {
-    const sql = 'SELECT * FROM products WHERE product_id = ? LIMIT 1';
+    const sql = 'SELECT * FROM products WHERE product_id = ? AND deletedAt IS NULL LIMIT 1';
     const products = await db.query(sql, [productId]);
     return products[0] || null;
   }
 
-  // Get all products with optimized query
-  static async getAll(filters = {}) {
-    let sql = 'SELECT * FROM products';
-    const params = [];
-    const conditions = [];
+  // Get all products matching the filters (see buildFilters)
+  // sort: whitelisted entries from buildProductSort (defaults to newest first)
+  static async getAll(filters = {}, sort) {
+    const { where, params } = this.buildFilters(filters);
+    const query = buildListQuery({ from: 'products', where, params, sort, limit: filters.limit });
     
-    if (filters.status) {
-      sql += ' AND status = ?';
-      params.push(filters.status);
-    }
+    return await db.query(query.sql, query.params);
+  }
+
+  // Get one page of products ({ rows, total, page, pageSize, nextCursor })
+  static async getPage(filters = {}, pagination, sort) {
+    const { where, params } = this.buildFilters(filters);
+    return await paginate(db.query, { from: 'products', where, params, sort }, pagination);
+  }
+
+  // Build the WHERE clause for list filters (soft deleted products are left out unless includeDeleted)
+  static buildFilters(filters = {}) {
+    const where = whereBuilder();
     
-    if (filters.category) {
-      sql += ' AND category = ?';
-      params.push(filters.category);
+    if (!filters.includeDeleted) {
+      where.add('deletedAt IS NULL');
     }
     
+    where
+      .when(filters.status, Array.isArray(filters.status) ? 'status IN (?)' : 'status = ?')
+      .when(filters.category, Array.isArray(filters.category) ? 'category IN (?)' : 'category = ?')
+      .when(filters.minPrice, 'price >= ?')
+      .when(filters.maxPrice, 'price <= ?');
+    
     if (filters.search) {
-      sql += ' AND (name LIKE ? OR description LIKE ? OR product_id LIKE ?)';
       const searchTerm = `%${filters.search}%`;
-      params.push(searchTerm, searchTerm, searchTerm);
+      where.add('(name LIKE ? OR description LIKE ? OR product_id LIKE ?)', searchTerm, searchTerm, searchTerm);
     }
     
-    sql += ' ORDER BY createdAt DESC';
+    if (filters.hasImage === true) {
+      where.add("(image IS NOT NULL AND image <> '')");
+    } else if (filters.hasImage === false) {
+      where.add("(image IS NULL OR image = '')");
+    }
     
-    if (filters.limit) {
-      sql += ' LIMIT ?';
-      params.push(filters.limit);
+    const stockConditions = {
+      in: 'stock_quantity > 0',
+      low: 'stock_quantity <= reorder_threshold',
+      out: 'stock_quantity = 0',
+      untracked: 'stock_quantity IS NULL'
+    };
+    
+    if (stockConditions[filters.stock]) {
+      where.add(stockConditions[filters.stock]);
     }
     
-    return await db.query(sql, params);
+    return where.build();
   }
 
   // Update product
@@ -83,7 +141,7 @@ class Product {
     const fields = [];
     const values = [];
     
-    const allowedFields = ['name', 'description', 'price', 'status', 'category', 'image', 'product_id'];
+    const allowedFields = ['name', 'description', 'price', 'status', 'category', 'image', 'product_id', 'reorder_threshold'];
     
     allowedFields.forEach(field => {
       if (updateData[field] !== undefined) {
@@ -108,11 +166,153 @@ class Product {
     return this.findById(id);
   }
 
-  // Delete product
+  // Soft delete product; orders and stock history keep pointing at it
   static async delete(id) {
-    const sql = 'DELETE FROM products WHERE id = ?';
-    await db.query(sql, [id]);
-    return true;
+    const sql = 'UPDATE products SET deletedAt = NOW() WHERE id = ? AND deletedAt IS NULL';
+    const result = await db.query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Restore a soft deleted product
+  static async restore(id) {
+    const sql = 'UPDATE products SET deletedAt = NULL WHERE id = ? AND deletedAt IS NOT NULL';
+    const result = await db.query(sql, [id]);
+    if (result.affectedRows === 0) return null;
+    
+    return this.findById(id);
+  }
+
+  // Permanently remove products soft deleted more than `days` ago. Products still on an
+  // order line are kept, so purging never blanks product ids on existing orders.
+  static async purgeDeleted(days) {
+    const sql = `
+      DELETE FROM products
+      WHERE deletedAt < DATE_SUB(NOW(), INTERVAL ? DAY)
+        AND product_id NOT IN (SELECT product_id FROM order_items WHERE product_id IS NOT NULL)
+        AND product_id NOT IN (SELECT product_id FROM orders WHERE product_id IS NOT NULL)
+    `;
+    
+    const result = await db.query(sql, [days]);
+    return result.affectedRows;
+  }
+
+  // Apply a stock change to a locked product row, flip available/out-of-stock and write the ledger
+  static async applyStockChange(product, change, { type, orderId = null, userId = null, note = null }, executor) {
+    const balance = (product.stock_quantity || 0) + change;
+    
+    let status = product.status;
+    if (balance <= 0 && status === 'available') {
+      status = 'out-of-stock';
+    } else if (balance > 0 && status === 'out-of-stock') {
+      status = 'available';
+    }
+    
+    await executor.query(
+      'UPDATE products SET stock_quantity = ?, status = ? WHERE id = ?',
+      [balance, status, product.id]
+    );
+    
+    await StockMovement.record({
+      productId: product.product_id,
+      orderId,
+      type,
+      change,
+      balanceAfter: balance,
+      userId,
+      note
+    }, executor);
+    
+    return balance;
+  }
+
+  // Lock a product row for a stock change (use inside a transaction). Soft deleted products are
+  // locked too, so released stock is still put back; reserveStock refuses them.
+  static async lockByProductId(productId, executor) {
+    const products = await executor.query(
+      'SELECT * FROM products WHERE product_id = ? LIMIT 1 FOR UPDATE',
+      [productId]
+    );
+    return products[0] || null;
+  }
+
+  // Find lines that cannot be fulfilled from current stock
+  static async getStockShortages(items) {
+    const quantities = new Map();
+    items.forEach(item => {
+      quantities.set(item.product_id, (quantities.get(item.product_id) || 0) + parseInt(item.quantity));
+    });
+    
+    const shortages = [];
+    
+    for (const [productId, requested] of quantities) {
+      const product = await this.findByProductId(productId);
+      if (!product) continue;
+      
+      if (product.status === 'discontinued') {
+        shortages.push({ product_id: productId, name: product.name, requested, available: 0 });
+      } else if (product.stock_quantity !== null && product.stock_quantity < requested) {
+        shortages.push({ product_id: productId, name: product.name, requested, available: product.stock_quantity });
+      }
+    }
+    
+    return shortages;
+  }
+
+  // Take stock for order lines; products without a stock level are not tracked
+  static async reserveStock(items, { orderId = null, userId = null } = {}, executor) {
+    for (const item of items) {
+      const product = await this.lockByProductId(item.product_id, executor);
+      if (!product) continue;
+      
+      if (product.deletedAt) {
+        throw createError(409, `${product.name} has been deleted`);
+      }
+      
+      if (product.status === 'discontinued') {
+        throw createError(409, `${product.name} is discontinued`);
+      }
+      
+      if (product.stock_quantity === null) continue;
+      
+      if (product.stock_quantity < item.quantity) {
+        throw createError(409, `Insufficient stock for ${product.name}: ${product.stock_quantity} available`);
+      }
+      
+      await this.applyStockChange(product, -item.quantity, { type: 'reserve', orderId, userId }, executor);
+    }
+  }
+
+  // Put order lines back into stock (cancelled/returned orders, edited or deleted orders)
+  static async releaseStock(items, { orderId = null, userId = null, note = null } = {}, executor) {
+    for (const item of items) {
+      const product = await this.lockByProductId(item.product_id, executor);
+      if (!product || product.stock_quantity === null) continue;
+      
+      await this.applyStockChange(product, item.quantity, { type: 'release', orderId, userId, note }, executor);
+    }
+  }
+
+  // Manual stock adjustment or goods receipt
+  static async adjustStock(id, change, { type = 'adjustment', userId = null, note = null } = {}) {
+    const found = await db.transaction(async (conn) => {
+      const products = await conn.query('SELECT * FROM products WHERE id = ? AND deletedAt IS NULL LIMIT 1 FOR UPDATE', [id]);
+      const product = products[0];
+      if (!product) return false;
+      
+      if ((product.stock_quantity || 0) + change < 0) {
+        throw createError(400, 'Stock cannot go below zero');
+      }
+      
+      await this.applyStockChange(product, change, { type, userId, note }, conn);
+      return true;
+    });
+    
+    return found ? this.findById(id) : null;
+  }
+
+  // Get stock ledger for a product
+  static async getStockMovements(productId, limit = 50) {
+    return await StockMovement.getByProductId(productId, limit);
   }
 
   // Get product statistics
@@ -122,21 +322,73 @@ class Product {
         COUNT(*) as total,
         SUM(CASE WHEN status = 'available' THEN 1 ELSE 0 END) as available,
         SUM(CASE WHEN status = 'out-of-stock' THEN 1 ELSE 0 END) as outOfStock,
-        SUM(CASE WHEN status = 'discontinued' THEN 1 ELSE 0 END) as discontinued
+        SUM(CASE WHEN status = 'discontinued' THEN 1 ELSE 0 END) as discontinued,
+        SUM(CASE WHEN status != 'discontinued' AND stock_quantity IS NOT NULL 
+                 AND stock_quantity <= reorder_threshold THEN 1 ELSE 0 END) as lowStock
       FROM products
+      WHERE deletedAt IS NULL
     `;
     
     const result = await db.query(sql);
     return result[0] || {
-      total: 0, available: 0, outOfStock: 0, discontinued: 0
+      total: 0, available: 0, outOfStock: 0, discontinued: 0, lowStock: 0
     };
   }
 
+  // Get tracked products at or below their reorder threshold, with 30-day sales velocity
+  static async getLowStock(limit = null) {
+    let sql = `
+      SELECT 
+        p.id,
+        p.product_id,
+        p.name,
+        p.status,
+        p.category,
+        p.stock_quantity,
+        p.reorder_threshold,
+        COALESCE(SUM(CASE WHEN o.id IS NOT NULL THEN oi.quantity ELSE 0 END), 0) as units_sold
+      FROM products p
+      LEFT JOIN order_items oi ON oi.product_id = p.product_id
+      LEFT JOIN orders o ON o.id = oi.order_id
+        AND o.status NOT IN (?)
+        AND o.createdAt >= DATE_SUB(NOW(), INTERVAL ? DAY)
+        AND o.deletedAt IS NULL
+      WHERE p.status != 'discontinued'
+        AND p.deletedAt IS NULL
+        AND p.stock_quantity IS NOT NULL
+        AND p.stock_quantity <= p.reorder_threshold
+      GROUP BY p.id
+      ORDER BY p.stock_quantity ASC, p.name ASC
+    `;
+    
+    const params = [VOID_STATUSES, VELOCITY_DAYS];
+    
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(parseInt(limit));
+    }
+    
+    const products = await db.query(sql, params);
+    
+    return products.map(product => {
+      const unitsSold = parseInt(product.units_sold) || 0;
+      const dailyVelocity = Math.round((unitsSold / VELOCITY_DAYS) * 100) / 100;
+      
+      return {
+        ...product,
+        units_sold: unitsSold,
+        daily_velocity: dailyVelocity,
+        // Days until stockout at the current sales rate (null when nothing sold)
+        days_of_cover: dailyVelocity > 0 ? Math.floor(product.stock_quantity / dailyVelocity) : null
+      };
+    });
+  }
+
   // Search products
   static async search(query) {
     const sql = `
       SELECT * FROM products 
-      WHERE name LIKE ? OR description LIKE ? OR product_id LIKE ?
+      WHERE (name LIKE ? OR description LIKE ? OR product_id LIKE ?) AND deletedAt IS NULL
       ORDER BY name ASC
       LIMIT 20
     `;
@@ -149,14 +401,14 @@ class Product {
   static async getByCategory(category) {
     const sql = `
       SELECT * FROM products 
-      WHERE category = ? AND status = 'available'
+      WHERE category = ? AND status = 'available' AND deletedAt IS NULL
       ORDER BY name ASC
     `;
     
     return await db.query(sql, [category]);
   }
 
-  // Check if product exists
+  // Check if product exists (deleted products still hold their product_id)
   static async exists(productId, excludeId = null) {
     let sql = 'SELECT id FROM products WHERE product_id = ?';
     const params = [productId];
@@ -0,0 +1,46 @@
+const db = require('../../database');
+const { hashToken } = require('../utils/jwt');
+const { generateRecoveryCodes, normalizeRecoveryCode } = require('../utils/twoFactor');
+
+// Two-factor recovery codes: each works once in place of a TOTP code. Only hashes are stored.
+class RecoveryCode {
+  // Replace a user's codes with a new set; returns the plain codes (shown to the user once)
+  static async replaceForUser(userId) {
+    const codes = generateRecoveryCodes();
+
+    await db.transaction(async (executor) => {
+      await this.deleteForUser(userId, executor);
+      await executor.query(
+        'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ?',
+        [codes.map(code => [userId, hashToken(normalizeRecoveryCode(code))])]
+      );
+    });
+
+    return codes;
+  }
+
+  // Use a code; false when it is unknown or already used
+  static async consume(userId, code) {
+    const sql = `
+      UPDATE user_recovery_codes SET used_at = NOW()
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `;
+
+    const result = await db.query(sql, [userId, hashToken(normalizeRecoveryCode(code))]);
+    return result.affectedRows > 0;
+  }
+
+  // Unused codes left
+  static async countRemaining(userId) {
+    const sql = 'SELECT COUNT(*) as count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL';
+    const rows = await db.query(sql, [userId]);
+    return rows[0].count;
+  }
+
+  // Remove every code of a user (2FA disabled or codes regenerated)
+  static async deleteForUser(userId, executor = db) {
+    await executor.query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  }
+}
+
+module.exports = RecoveryCode;
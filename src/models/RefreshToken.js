@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const db = require('../../database');
+const { generateOpaqueToken, hashToken } = require('../utils/jwt');
+const { createError } = require('../utils/httpError');
+
+const DEFAULT_REFRESH_EXPIRE_DAYS = 30;
+
+const getExpireDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_REFRESH_EXPIRE_DAYS;
+
+// Refresh tokens rotate: every use revokes the presented token and issues a new one in the
+// same family. Presenting an already-rotated token means it leaked, so the whole family is revoked.
+class RefreshToken {
+  // Issue a refresh token for a user; returns the plain token (only its hash is stored)
+  static async create(userId, { familyId = crypto.randomUUID() } = {}, executor = db) {
+    const token = generateOpaqueToken();
+    const expiresAt = new Date(Date.now() + getExpireDays() * 24 * 60 * 60 * 1000);
+
+    const sql = `
+      INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const result = await executor.query(sql, [userId, hashToken(token), familyId, expiresAt]);
+    return { id: result.insertId, token, familyId, expiresAt };
+  }
+
+  // Find the stored row for a plain token
+  static async findByToken(token, executor = db) {
+    const sql = 'SELECT * FROM refresh_tokens WHERE token_hash = ? LIMIT 1';
+    const rows = await executor.query(sql, [hashToken(token)]);
+    return rows[0] || null;
+  }
+
+  // Exchange a refresh token for a new one; returns { userId, token, expiresAt } or throws 401
+  static async rotate(token) {
+    const result = await db.transaction(async (executor) => {
+      const rows = await executor.query(
+        'SELECT * FROM refresh_tokens WHERE token_hash = ? LIMIT 1 FOR UPDATE',
+        [hashToken(token)]
+      );
+      const current = rows[0];
+
+      if (!current) {
+        return { error: 'Invalid refresh token' };
+      }
+
+      if (current.revoked_at) {
+        // Reuse of a rotated token: end every session descended from the same login
+        if (current.replaced_by) {
+          await this.revokeFamily(current.family_id, executor);
+        }
+        return { error: 'Refresh token has been revoked' };
+      }
+
+      if (new Date(current.expires_at) <= new Date()) {
+        return { error: 'Refresh token expired' };
+      }
+
+      const next = await this.create(current.user_id, { familyId: current.family_id }, executor);
+      await executor.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ?',
+        [next.id, current.id]
+      );
+
+      return { userId: current.user_id, token: next.token, expiresAt: next.expiresAt };
+    });
+
+    // Thrown after the transaction so a family revocation is committed, not rolled back
+    if (result.error) {
+      throw createError(401, result.error);
+    }
+
+    return result;
+  }
+
+  // Revoke a single token (logout); only the owner's tokens are affected
+  static async revoke(token, userId) {
+    const sql = `
+      UPDATE refresh_tokens SET revoked_at = NOW()
+      WHERE token_hash = ? AND user_id = ? AND revoked_at IS NULL
+    `;
+
+    const result = await db.query(sql, [hashToken(token), userId]);
+    return result.affectedRows > 0;
+  }
+
+  // Revoke every token issued from one login
+  static async revokeFamily(familyId, executor = db) {
+    const sql = 'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL';
+    await executor.query(sql, [familyId]);
+  }
+
+  // Revoke every token of a user (e.g. account deleted)
+  static async revokeAllForUser(userId, executor = db) {
+    const sql = 'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL';
+    await executor.query(sql, [userId]);
+  }
+
+  // Remove tokens that can no longer be used (expires_at comes from Node, so compare with Node's clock)
+  static async purgeExpired() {
+    const result = await db.query('DELETE FROM refresh_tokens WHERE expires_at < ?', [new Date()]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = RefreshToken;
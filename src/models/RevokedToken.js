@@ -0,0 +1,30 @@
+const db = require('../../database');
+
+// Blacklist of access token ids (`jti`) revoked before they expire.
+// Rows are only needed until the token would have expired anyway.
+class RevokedToken {
+  // Blacklist an access token; `expiresAt` is the token's own expiry
+  static async revoke(jti, expiresAt) {
+    const sql = `
+      INSERT INTO revoked_tokens (jti, expires_at)
+      VALUES (?, ?)
+      ON DUPLICATE KEY UPDATE expires_at = VALUES(expires_at)
+    `;
+
+    await db.query(sql, [jti, expiresAt]);
+  }
+
+  // Check whether an access token has been revoked
+  static async isRevoked(jti) {
+    const rows = await db.query('SELECT jti FROM revoked_tokens WHERE jti = ? LIMIT 1', [jti]);
+    return rows.length > 0;
+  }
+
+  // Remove entries for tokens that have expired (expires_at comes from Node, so compare with Node's clock)
+  static async purgeExpired() {
+    const result = await db.query('DELETE FROM revoked_tokens WHERE expires_at < ?', [new Date()]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = RevokedToken;
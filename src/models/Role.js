@@ -0,0 +1,129 @@
+const db = require('../../database');
+const LRUCache = require('../utils/lruCache');
+const { PERMISSIONS, ADMIN_ROLE } = require('../utils/permissions');
+const { createError } = require('../utils/httpError');
+
+// Permission sets are read on every authorized request; cleared whenever a role changes
+const permissionCache = new LRUCache({ max: 50, ttl: 60 * 1000 });
+
+class Role {
+  // Get all roles with their permissions and user counts
+  static async getAll() {
+    const roles = await db.query(`
+      SELECT r.name, r.description, r.is_system, r.createdAt, r.updatedAt,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count
+      FROM roles r
+      ORDER BY r.is_system DESC, r.name ASC
+    `);
+    const permissions = await db.query('SELECT role, permission FROM role_permissions ORDER BY permission ASC');
+
+    return roles.map(role => ({
+      ...role,
+      is_system: Boolean(role.is_system),
+      permissions: role.name === ADMIN_ROLE
+        ? Object.keys(PERMISSIONS)
+        : permissions.filter(row => row.role === role.name).map(row => row.permission)
+    }));
+  }
+
+  // Find a role with its permissions
+  static async findByName(name) {
+    const roles = await db.query('SELECT * FROM roles WHERE name = ? LIMIT 1', [name]);
+    if (!roles[0]) return null;
+
+    return {
+      ...roles[0],
+      is_system: Boolean(roles[0].is_system),
+      permissions: await this.getPermissions(name)
+    };
+  }
+
+  // Check if a role exists
+  static async exists(name) {
+    const roles = await db.query('SELECT name FROM roles WHERE name = ? LIMIT 1', [name]);
+    return roles.length > 0;
+  }
+
+  // Permissions granted to a role (admin always has all of them)
+  static async getPermissions(name) {
+    if (name === ADMIN_ROLE) {
+      return Object.keys(PERMISSIONS);
+    }
+
+    const cached = permissionCache.get(name);
+    if (cached) return cached;
+
+    const rows = await db.query('SELECT permission FROM role_permissions WHERE role = ?', [name]);
+    const permissions = rows.map(row => row.permission);
+
+    permissionCache.set(name, permissions);
+    return permissions;
+  }
+
+  // Create role
+  static async create({ name, description = null, permissions = [] }) {
+    await db.transaction(async (executor) => {
+      await executor.query('INSERT INTO roles (name, description) VALUES (?, ?)', [name, description]);
+      await this.replacePermissions(name, permissions, executor);
+    });
+
+    return this.findByName(name);
+  }
+
+  // Update role description and/or permissions (system roles cannot be changed)
+  static async update(name, { description, permissions }) {
+    const role = await this.findByName(name);
+    if (!role) return null;
+
+    if (role.is_system) {
+      throw createError(400, `The ${name} role cannot be changed`);
+    }
+
+    await db.transaction(async (executor) => {
+      if (description !== undefined) {
+        await executor.query('UPDATE roles SET description = ?, updatedAt = NOW() WHERE name = ?', [description, name]);
+      }
+
+      if (Array.isArray(permissions)) {
+        await this.replacePermissions(name, permissions, executor);
+      }
+    });
+
+    permissionCache.delete(name);
+    return this.findByName(name);
+  }
+
+  // Delete role (system roles and roles still assigned to users cannot be deleted)
+  static async delete(name) {
+    const role = await this.findByName(name);
+    if (!role) return false;
+
+    if (role.is_system) {
+      throw createError(400, `The ${name} role cannot be deleted`);
+    }
+
+    const users = await db.query('SELECT COUNT(*) as count FROM users WHERE role = ?', [name]);
+    if (users[0].count > 0) {
+      throw createError(400, `Cannot delete a role assigned to ${users[0].count} user(s)`);
+    }
+
+    await db.query('DELETE FROM roles WHERE name = ?', [name]);
+    permissionCache.delete(name);
+    return true;
+  }
+
+  // Replace the permission set of a role
+  static async replacePermissions(name, permissions, executor = db) {
+    await executor.query('DELETE FROM role_permissions WHERE role = ?', [name]);
+
+    const unique = [...new Set(permissions)];
+    if (unique.length > 0) {
+      await executor.query(
+        'INSERT INTO role_permissions (role, permission) VALUES ?',
+        [unique.map(permission => [name, permission])]
+      );
+    }
+  }
+}
+
+module.exports = Role;
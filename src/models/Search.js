@@ -0,0 +1,152 @@
+const db = require('../../database');
+const { tokenize, canUseFulltext, toBooleanQuery, scoreRow, highlight } = require('../utils/search');
+
+// Searchable record types (all soft deletable; deleted rows are never returned). `fields` must match the FULLTEXT index columns (see migration 011);
+// `weight` ranks hits in that field, `snippet` lists the columns excerpts are taken from, best first.
+const SEARCH_TYPES = {
+  order: {
+    table: 'orders',
+    fields: [
+      { column: 'order_id', weight: 8 },
+      { column: 'mobile', weight: 6 },
+      { column: 'fullName', weight: 5 },
+      { column: 'address', weight: 2 },
+      { column: 'notes', weight: 1 }
+    ],
+    snippet: ['notes', 'address', 'fullName', 'mobile', 'order_id'],
+    reference: row => row.order_id,
+    title: row => `${row.order_id} · ${row.fullName}`
+  },
+  product: {
+    table: 'products',
+    fields: [
+      { column: 'product_id', weight: 8 },
+      { column: 'name', weight: 5 },
+      { column: 'category', weight: 3 },
+      { column: 'description', weight: 1 }
+    ],
+    snippet: ['description', 'name', 'category', 'product_id'],
+    reference: row => row.product_id,
+    title: row => row.name
+  },
+  inquiry: {
+    table: 'inquiries',
+    fields: [
+      { column: 'mobile', weight: 6 },
+      { column: 'email', weight: 5 },
+      { column: 'name', weight: 4 },
+      { column: 'message', weight: 1 }
+    ],
+    snippet: ['message', 'name', 'email', 'mobile'],
+    reference: row => String(row.id),
+    title: row => row.name || row.email || row.mobile || `Inquiry #${row.id}`
+  }
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const TOKEN_CANDIDATES = 3;
+
+// MySQL error when a table has no FULLTEXT index over the searched columns
+const ER_FT_MATCHING_KEY_NOT_FOUND = 'ER_FT_MATCHING_KEY_NOT_FOUND';
+
+class Search {
+  // Record types that can be searched
+  static getTypes() {
+    return Object.keys(SEARCH_TYPES);
+  }
+
+  // FULLTEXT or token (LIKE) engine; SEARCH_ENGINE=tokens for databases without FULLTEXT (e.g. SQLite)
+  static getEngine() {
+    return process.env.SEARCH_ENGINE === 'tokens' ? 'tokens' : 'fulltext';
+  }
+
+  // Search orders, products and inquiries at once, best matches first
+  static async search(query, { types = Object.keys(SEARCH_TYPES), limit = DEFAULT_LIMIT } = {}) {
+    const terms = tokenize(query);
+    const size = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    if (terms.length === 0) {
+      return { terms, engine: null, results: [] };
+    }
+
+    const engine = this.getEngine() === 'fulltext' && canUseFulltext(terms) ? 'fulltext' : 'tokens';
+    const results = [];
+
+    for (const type of types) {
+      const config = SEARCH_TYPES[type];
+      const rows = await this.findRows(config, terms, size, engine);
+
+      rows.forEach(row => {
+        results.push({
+          type,
+          id: row.id,
+          reference: config.reference(row),
+          title: config.title(row),
+          snippet: highlight(row, config.snippet, terms),
+          score: scoreRow(row, config.fields, terms),
+          createdAt: row.createdAt
+        });
+      });
+    }
+
+    results.sort((a, b) => b.score - a.score || new Date(b.createdAt) - new Date(a.createdAt));
+
+    return { terms, engine, results: results.slice(0, size) };
+  }
+
+  // Candidate rows for one type, falling back to tokens when the FULLTEXT index is missing
+  static async findRows(config, terms, limit, engine) {
+    if (engine === 'fulltext') {
+      try {
+        return await this.findFulltext(config, terms, limit);
+      } catch (error) {
+        if (error.code !== ER_FT_MATCHING_KEY_NOT_FOUND) throw error;
+      }
+    }
+
+    return await this.findTokens(config, terms, limit);
+  }
+
+  // Every term as a required prefix, by FULLTEXT relevance
+  static async findFulltext(config, terms, limit) {
+    const columns = config.fields.map(({ column }) => column).join(', ');
+    const match = `MATCH(${columns}) AGAINST (? IN BOOLEAN MODE)`;
+    const booleanQuery = toBooleanQuery(terms);
+
+    const sql = `
+      SELECT *, ${match} as relevance
+      FROM ${config.table}
+      WHERE ${match} AND deletedAt IS NULL
+      ORDER BY relevance DESC, id DESC
+      LIMIT ?
+    `;
+
+    return await db.query(sql, [booleanQuery, booleanQuery, limit]);
+  }
+
+  // Every term in at least one column (portable SQL, no index required).
+  // Rows come back newest first, so fetch extra candidates for ranking to choose from.
+  static async findTokens(config, terms, limit) {
+    const columns = config.fields.map(({ column }) => column);
+    const conditions = [];
+    const params = [];
+
+    terms.forEach(term => {
+      conditions.push(`(${columns.map(column => `LOWER(${column}) LIKE ?`).join(' OR ')})`);
+      columns.forEach(() => params.push(`%${term}%`));
+    });
+
+    const sql = `
+      SELECT * FROM ${config.table}
+      WHERE ${conditions.join(' AND ')} AND deletedAt IS NULL
+      ORDER BY createdAt DESC, id DESC
+      LIMIT ?
+    `;
+
+    params.push(limit * TOKEN_CANDIDATES);
+    return await db.query(sql, params);
+  }
+}
+
+module.exports = Search;
@@ -0,0 +1,46 @@
+const db = require('../../database');
+const { getIdFormat, getSequencePeriod, formatIdentifier } = require('../utils/identifiers');
+
+// Retries when a generated identifier is already taken (e.g. a manually entered ID)
+const MAX_ID_ATTEMPTS = 5;
+
+class Sequence {
+  // Atomically take the next value of a counter. The row lock on (name, period) serializes
+  // concurrent callers, and LAST_INSERT_ID(expr) hands each one its own value.
+  static async next(name, period = '', executor = db) {
+    const sql = `
+      INSERT INTO id_sequences (name, period, value)
+      VALUES (?, ?, LAST_INSERT_ID(1))
+      ON DUPLICATE KEY UPDATE value = LAST_INSERT_ID(value + 1)
+    `;
+
+    const result = await executor.query(sql, [name, period]);
+    return result.insertId;
+  }
+
+  // Generate the next identifier for a type ('order' or 'product')
+  static async nextIdentifier(type) {
+    const config = getIdFormat(type);
+    const date = new Date();
+    const sequence = await this.next(type, getSequencePeriod(config.format, date));
+    return formatIdentifier(config, sequence, date);
+  }
+
+  // Run `callback(identifier)` with a fresh identifier, retrying with the next one on a duplicate key
+  static async withIdentifier(type, callback) {
+    for (let attempt = 1; ; attempt++) {
+      const identifier = await this.nextIdentifier(type);
+
+      try {
+        return await callback(identifier);
+      } catch (error) {
+        const taken = error.code === 'ER_DUP_ENTRY' && error.message.includes(`'${identifier}'`);
+        if (!taken || attempt >= MAX_ID_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+}
+
+module.exports = Sequence;
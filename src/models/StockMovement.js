@@ -0,0 +1,45 @@
+const db = require('../../database');
+
+class StockMovement {
+  // Record a stock change (pass a transaction executor to write atomically with the stock update)
+  static async record(entry, executor = db) {
+    const {
+      productId,
+      orderId = null,
+      type,
+      change,
+      balanceAfter,
+      userId = null,
+      note = null
+    } = entry;
+
+    const sql = `
+      INSERT INTO stock_movements
+      (product_id, order_id, type, quantity_change, balance_after, user_id, note)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await executor.query(sql, [productId, orderId, type, change, balanceAfter, userId, note]);
+    return result.insertId;
+  }
+
+  // Get movements for a product, newest first
+  static async getByProductId(productId, limit = 50) {
+    const sql = `
+      SELECT
+        m.*,
+        o.order_id as order_number,
+        u.fullName as changed_by
+      FROM stock_movements m
+      LEFT JOIN orders o ON o.id = m.order_id
+      LEFT JOIN users u ON u.id = m.user_id
+      WHERE m.product_id = ?
+      ORDER BY m.createdAt DESC, m.id DESC
+      LIMIT ?
+    `;
+
+    return await db.query(sql, [productId, limit]);
+  }
+}
+
+module.exports = StockMovement;
@@ -1,6 +1,10 @@
 const db = require('../../database');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const RefreshToken = require('./RefreshToken');
+const RecoveryCode = require('./RecoveryCode');
+const { generateToken } = require('../utils/jwt');
+const { invalidateUser } = require('../utils/userCache');
+const { paginate } = require('../utils/pagination');
 
 class User {
   // Create user
@@ -19,18 +23,18 @@ class User {
     return result.insertId;
   }
 
-  // Find user by email
+  // Find user by email (deleted users cannot sign in or reset their password)
   static async findByEmail(email) {
-    const sql = 'SELECT * FROM users WHERE email = ? LIMIT 1';
+    const sql = 'SELECT * FROM users WHERE email = ? AND deletedAt IS NULL LIMIT 1';
     const users = await db.query(sql, [email]);
     return users[0] || null;
   }
 
   // Find user by email or fullName
-  static async findByEmailOrName(identifier) {
+  static async findByEmailOrName(identifier, { includeDeleted = false } = {}) {
     const sql = `
       SELECT * FROM users 
-      WHERE email = ? OR fullName = ?
+      WHERE (email = ? OR fullName = ?)${includeDeleted ? '' : ' AND deletedAt IS NULL'}
       LIMIT 1
     `;
     
@@ -38,13 +42,91 @@ class User {
     return users[0] || null;
   }
 
-  // Find user by ID
-  static async findById(id) {
-    const sql = 'SELECT * FROM users WHERE id = ? LIMIT 1';
+  // Find user by ID; soft deleted users only with includeDeleted
+  static async findById(id, { includeDeleted = false } = {}) {
+    const sql = `SELECT * FROM users WHERE id = ?${includeDeleted ? '' : ' AND deletedAt IS NULL'} LIMIT 1`;
     const users = await db.query(sql, [id]);
     return users[0] || null;
   }
 
+  // Find user by email, or by email or fullName when name login is allowed
+  static async findForLogin(identifier, { allowName = true } = {}) {
+    return allowName ? this.findByEmailOrName(identifier) : this.findByEmail(identifier);
+  }
+
+  // Count a failed login; locks the account once `maxAttempts` consecutive failures are reached.
+  // Returns the updated { failedLoginCount, lockedUntil }. The lock end is computed in Node,
+  // the same clock isLocked compares it against.
+  static async registerFailedLogin(id, { maxAttempts, lockoutMinutes }) {
+    const sql = `
+      UPDATE users SET
+        lockedUntil = IF(failedLoginCount + 1 >= ?, ?, lockedUntil),
+        failedLoginCount = failedLoginCount + 1
+      WHERE id = ?
+    `;
+
+    const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+    await db.query(sql, [maxAttempts, lockedUntil, id]);
+    const rows = await db.query('SELECT failedLoginCount, lockedUntil FROM users WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  // Clear failed login count and lock (successful login or admin unlock)
+  static async resetFailedLogins(id) {
+    const sql = 'UPDATE users SET failedLoginCount = 0, lockedUntil = NULL WHERE id = ?';
+    const result = await db.query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Whether the account is currently locked
+  static isLocked(user) {
+    return Boolean(user.lockedUntil) && new Date(user.lockedUntil) > new Date();
+  }
+
+  // Store a new TOTP secret awaiting confirmation (2FA stays off until enableTwoFactor)
+  static async setTotpSecret(id, secret) {
+    const sql = 'UPDATE users SET totpSecret = ?, totpEnabledAt = NULL, totpLastStep = NULL WHERE id = ?';
+    await db.query(sql, [secret, id]);
+    invalidateUser(id);
+  }
+
+  // Turn 2FA on once the first code has been verified
+  static async enableTwoFactor(id, step) {
+    const sql = 'UPDATE users SET totpEnabledAt = NOW(), totpLastStep = ? WHERE id = ? AND totpSecret IS NOT NULL';
+    await db.query(sql, [step, id]);
+    invalidateUser(id);
+  }
+
+  // Turn 2FA off and forget the secret and recovery codes
+  static async disableTwoFactor(id) {
+    await db.query('UPDATE users SET totpSecret = NULL, totpEnabledAt = NULL, totpLastStep = NULL WHERE id = ?', [id]);
+    await RecoveryCode.deleteForUser(id);
+    invalidateUser(id);
+  }
+
+  // Record the time step of an accepted TOTP code; false when that step (or a later one) was
+  // already used, so an intercepted code cannot be replayed
+  static async useTotpStep(id, step) {
+    const sql = `
+      UPDATE users SET totpLastStep = ?
+      WHERE id = ? AND (totpLastStep IS NULL OR totpLastStep < ?)
+    `;
+
+    const result = await db.query(sql, [step, id, step]);
+    return result.affectedRows > 0;
+  }
+
+  // Whether the user has confirmed a TOTP secret
+  static hasTwoFactor(user) {
+    return Boolean(user.totpSecret && user.totpEnabledAt);
+  }
+
+  // User fields safe to return from the API
+  static toPublic(user) {
+    const { password, totpSecret, totpLastStep, ...rest } = user;
+    return { ...rest, twoFactorEnabled: this.hasTwoFactor(user) };
+  }
+
   // Compare password
   static async comparePassword(candidatePassword, hashedPassword) {
     return await bcrypt.compare(candidatePassword, hashedPassword);
@@ -65,9 +147,11 @@ class User {
       values.push(updateData.email);
     }
     
+    // Tokens issued before a password change stop working (see authMiddleware). The time comes
+    // from Node's clock, in whole seconds as the column stores it.
     if (updateData.password) {
-      fields.push('password = ?');
-      values.push(await bcrypt.hash(updateData.password, 10));
+      fields.push('password = ?', 'passwordChangedAt = ?');
+      values.push(await bcrypt.hash(updateData.password, 10), new Date(Math.floor(Date.now() / 1000) * 1000));
     }
     
     if (updateData.role) {
@@ -81,23 +165,66 @@ class User {
     const sql = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
     
     await db.query(sql, values);
+    invalidateUser(id);
+    
+    if (updateData.password) {
+      await RefreshToken.revokeAllForUser(id);
+    }
+    
     return this.findById(id);
   }
 
-  // Delete user
+  // Soft delete user; their sessions end at once (refresh tokens revoked, cache dropped)
   static async delete(id) {
-    const sql = 'DELETE FROM users WHERE id = ?';
-    await db.query(sql, [id]);
-    return true;
+    const sql = 'UPDATE users SET deletedAt = NOW() WHERE id = ? AND deletedAt IS NULL';
+    const result = await db.query(sql, [id]);
+    invalidateUser(id);
+    await RefreshToken.revokeAllForUser(id);
+    return result.affectedRows > 0;
+  }
+
+  // Restore a soft deleted user (they sign in again with their old password)
+  static async restore(id) {
+    const sql = 'UPDATE users SET deletedAt = NULL WHERE id = ? AND deletedAt IS NOT NULL';
+    const result = await db.query(sql, [id]);
+    if (result.affectedRows === 0) return null;
+    
+    invalidateUser(id);
+    return this.findById(id);
+  }
+
+  // Permanently remove users soft deleted more than `days` ago. Their tokens and login records
+  // cascade; order history, stock movements and the audit log keep the entry without the user.
+  static async purgeDeleted(days) {
+    const result = await db.query(
+      'DELETE FROM users WHERE deletedAt < DATE_SUB(NOW(), INTERVAL ? DAY)',
+      [days]
+    );
+    return result.affectedRows;
   }
 
   // Get all users
   static async getAll() {
-    const sql = 'SELECT id, fullName, email, role, createdAt FROM users ORDER BY createdAt DESC';
+    const sql = 'SELECT id, fullName, email, role, createdAt FROM users WHERE deletedAt IS NULL ORDER BY createdAt DESC, id DESC';
     return await db.query(sql);
   }
 
-  // Check if email exists
+  // Get one page of users ({ rows, total, page, pageSize, nextCursor })
+  static async getPage(pagination, { includeDeleted = false } = {}) {
+    return await paginate(db.query, {
+      select: 'id, fullName, email, role, failedLoginCount, lockedUntil, totpEnabledAt IS NOT NULL as twoFactorEnabled, createdAt, deletedAt',
+      from: 'users',
+      where: includeDeleted ? '' : ' WHERE deletedAt IS NULL'
+    }, pagination);
+  }
+
+  // Get active users with a role (e.g. couriers for assignment)
+  static async getByRole(role) {
+    const sql = 'SELECT id, fullName, email, role, createdAt FROM users WHERE role = ? AND deletedAt IS NULL ORDER BY fullName ASC';
+    return await db.query(sql, [role]);
+  }
+
+  // Check if email exists (deleted users keep their email until purged)
   static async emailExists(email, excludeId = null) {
     let sql = 'SELECT id FROM users WHERE email = ?';
     const params = [email];
@@ -111,17 +238,21 @@ class User {
     return users.length > 0;
   }
 
-  // Generate JWT token
+  // Generate JWT access token
   static generateToken(user) {
-    return jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    return generateToken({
+      id: user.id,
+      email: user.email,
+      fullName: user.fullName,
+      role: user.role,
+      pwdAt: this.passwordStamp(user)
+    });
+  }
+
+  // Last password change in epoch seconds (null if never changed). Access tokens carry the value
+  // they were issued under, so a change rejects them even when issued in the same second.
+  static passwordStamp(user) {
+    return user.passwordChangedAt ? Math.floor(new Date(user.passwordChangedAt).getTime() / 1000) : null;
   }
 }
 
@@ -1,9 +1,39 @@
 const User = require('./User');
 const Order = require('./Order');
 const Product = require('./Product');
+const OrderItem = require('./OrderItem');
+const OrderStatusHistory = require('./OrderStatusHistory');
+const StockMovement = require('./StockMovement');
+const Customer = require('./Customer');
+const Sequence = require('./Sequence');
+const Search = require('./Search');
+const RefreshToken = require('./RefreshToken');
+const RevokedToken = require('./RevokedToken');
+const Role = require('./Role');
+const LoginAttempt = require('./LoginAttempt');
+const PasswordResetToken = require('./PasswordResetToken');
+const RecoveryCode = require('./RecoveryCode');
+const AuditLog = require('./AuditLog');
+const Inquiry = require('./Inquiry');
+const InquiryNote = require('./InquiryNote');
 
 module.exports = {
   User,
   Order,
-  Product
+  Product,
+  OrderItem,
+  OrderStatusHistory,
+  StockMovement,
+  Customer,
+  Sequence,
+  Search,
+  RefreshToken,
+  RevokedToken,
+  Role,
+  LoginAttempt,
+  PasswordResetToken,
+  RecoveryCode,
+  AuditLog,
+  Inquiry,
+  InquiryNote
 };
\ No newline at end of file
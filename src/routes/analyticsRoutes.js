@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
 const { queryValidation } = require('../utils/validation');
 
 // All routes require authentication
 router.use(authMiddleware);
+router.use(requirePermission('analytics:read'));
 
 // Analytics routes
 router.get('/', analyticsController.getAnalytics);
@@ -13,5 +14,6 @@ router.get('/top-products', queryValidation, analyticsController.getTopProducts)
 router.get('/revenue', queryValidation, analyticsController.getRevenueAnalytics);
 router.get('/customers', queryValidation, analyticsController.getCustomerAnalytics);
 router.get('/product-performance', queryValidation, analyticsController.getProductPerformance);
+router.get('/inquiry-conversion', requirePermission('inquiries:read'), queryValidation, analyticsController.getInquiryConversion);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { auditQueryValidation } = require('../utils/validation');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Audit log routes
+router.get('/', requirePermission('audit:read'), auditQueryValidation, auditController.getAuditLog);
+
+module.exports = router;
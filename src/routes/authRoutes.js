@@ -1,26 +1,53 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authMiddleware, authorize } = require('../middlewares/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
 const { 
   loginValidation, 
+  refreshTokenValidation,
+  logoutValidation,
   registerValidation, 
+  roleAssignmentValidation,
   passwordChangeValidation,
-  profileUpdateValidation 
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  twoFactorSetupValidation,
+  twoFactorDisableValidation,
+  profileUpdateValidation,
+  queryValidation
 } = require('../utils/validation');
 
 // Public routes
 router.post('/login', loginValidation, authController.login);
-router.post('/register', registerValidation, authController.register);
+router.post('/login/2fa', twoFactorLoginValidation, authController.loginTwoFactor);
+router.post('/refresh', refreshTokenValidation, authController.refresh);
+router.post('/forgot-password', forgotPasswordValidation, authController.forgotPassword);
+router.post('/reset-password', resetPasswordValidation, authController.resetPassword);
 
 // Protected routes
 router.get('/profile', authMiddleware, authController.getProfile);
 router.put('/profile', authMiddleware, profileUpdateValidation, authController.updateProfile);
 router.put('/password', authMiddleware, passwordChangeValidation, authController.changePassword);
-router.post('/logout', authMiddleware, authController.logout);
+router.post('/logout', authMiddleware, logoutValidation, authController.logout);
 
-// Admin only routes
-router.get('/users', authMiddleware, authorize('admin'), authController.getAllUsers);
-router.delete('/users/:id', authMiddleware, authorize('admin'), authController.deleteUser);
+// Two-factor authentication (reachable before enrollment, even for roles under the 2FA policy)
+router.get('/2fa', authMiddleware, authController.getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware, twoFactorSetupValidation, authController.setupTwoFactor);
+router.post('/2fa/enable', authMiddleware, twoFactorCodeValidation, authController.enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, twoFactorDisableValidation, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, twoFactorCodeValidation, authController.regenerateRecoveryCodes);
+
+// User management routes
+router.post('/register', authMiddleware, requirePermission('users:manage'), registerValidation, authController.register);
+router.get('/users', authMiddleware, requirePermission('users:manage'), queryValidation, authController.getAllUsers);
+router.put('/users/:id/role', authMiddleware, requirePermission('users:manage'), roleAssignmentValidation, authController.updateUserRole);
+router.post('/users/:id/unlock', authMiddleware, requirePermission('users:manage'), authController.unlockUser);
+router.delete('/users/:id/2fa', authMiddleware, requirePermission('users:manage'), authController.resetUserTwoFactor);
+router.get('/users/:id/login-attempts', authMiddleware, requirePermission('users:manage'), authController.getLoginAttempts);
+router.delete('/users/:id', authMiddleware, requirePermission('users:manage'), authController.deleteUser);
+router.post('/users/:id/restore', authMiddleware, requirePermission('users:manage'), authController.restoreUser);
+router.get('/cache-stats', authMiddleware, requirePermission('users:manage'), authController.getCacheStats);
 
 module.exports = router;
\ No newline at end of file
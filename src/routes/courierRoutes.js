@@ -1,18 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const courierController = require('../controllers/courierController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
-const { queryValidation } = require('../utils/validation');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { queryValidation, courierAssignmentValidation } = require('../utils/validation');
 
 // All routes require authentication
 router.use(authMiddleware);
 
 // Courier routes
-router.get('/orders', queryValidation, courierController.getCourierOrders);
-router.get('/stats', courierController.getCourierStats);
-router.get('/orders/:id/next-statuses', courierController.getNextStatuses);
-router.get('/orders/:id/delivery-timeline', courierController.getDeliveryTimeline);
-router.put('/orders/:id/status', courierController.updateCourierStatus);
-router.put('/orders/bulk-update', courierController.bulkUpdateStatus);
+router.get('/orders', requirePermission('courier:read'), queryValidation, courierController.getCourierOrders);
+router.get('/stats', requirePermission('courier:read'), courierController.getCourierStats);
+router.get('/orders/:id/next-statuses', requirePermission('courier:read'), courierController.getNextStatuses);
+router.get('/orders/:id/delivery-timeline', requirePermission('courier:read'), courierController.getDeliveryTimeline);
+router.put('/orders/:id/status', requirePermission('courier:update'), courierController.updateCourierStatus);
+router.put('/orders/bulk-update', requirePermission('courier:update'), courierController.bulkUpdateStatus);
+
+// Courier assignment routes
+router.get('/couriers', requirePermission('courier:assign'), courierController.getCouriers);
+router.put('/orders/:id/assign', requirePermission('courier:assign'), courierAssignmentValidation, courierController.assignCourier);
 
 module.exports = router;
\ No newline at end of file
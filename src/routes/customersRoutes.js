@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const customersController = require('../controllers/customersController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { customerValidation, queryValidation } = require('../utils/validation');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Customer routes
+router.get('/', requirePermission('customers:read'), queryValidation, customersController.getAllCustomers);
+router.get('/:id', requirePermission('customers:read'), customersController.getCustomerById);
+router.get('/:id/orders', requirePermission('customers:read', 'orders:read'), customersController.getCustomerOrders);
+router.post('/', requirePermission('customers:write'), customerValidation, customersController.createCustomer);
+router.put('/:id', requirePermission('customers:write'), customerValidation, customersController.updateCustomer);
+router.delete('/:id', requirePermission('customers:delete'), customersController.deleteCustomer);
+
+module.exports = router;
@@ -1,17 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboardController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
 const { queryValidation } = require('../utils/validation');
 
 // All routes require authentication
 router.use(authMiddleware);
 
 // Dashboard stats
-router.get('/stats', dashboardController.getStats);
-router.get('/recent-orders', queryValidation, dashboardController.getRecentOrders);
-router.get('/daily-data', dashboardController.getDailyData);
-router.get('/status-distribution', dashboardController.getStatusDistribution);
-router.get('/monthly-summary', dashboardController.getMonthlySummary);
+router.get('/stats', requirePermission('dashboard:read'), dashboardController.getStats);
+router.get('/recent-orders', requirePermission('dashboard:read'), queryValidation, dashboardController.getRecentOrders);
+router.get('/daily-data', requirePermission('analytics:read'), dashboardController.getDailyData);
+router.get('/status-distribution', requirePermission('dashboard:read'), dashboardController.getStatusDistribution);
+router.get('/monthly-summary', requirePermission('analytics:read'), dashboardController.getMonthlySummary);
+router.get('/low-stock', requirePermission('dashboard:read'), queryValidation, dashboardController.getLowStock);
+router.get('/inquiries', requirePermission('dashboard:read', 'inquiries:read'), dashboardController.getInquiryStats);
 
 module.exports = router;
\ No newline at end of file
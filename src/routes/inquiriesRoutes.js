@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const inquiriesController = require('../controllers/inquiriesController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  inquiryValidation,
+  inquiryStatusValidation,
+  inquiryAssignmentValidation,
+  inquiryNoteValidation,
+  inquiryConversionValidation,
+  inquiryQueryValidation
+} = require('../utils/validation');
+
+// Public route (contact form)
+router.post('/', inquiryValidation, inquiriesController.createInquiry);
+
+// Inquiry routes
+router.get('/', authMiddleware, requirePermission('inquiries:read'), inquiryQueryValidation, inquiriesController.getAllInquiries);
+router.get('/statuses', authMiddleware, requirePermission('inquiries:read'), inquiriesController.getInquiryStatuses);
+router.get('/stats', authMiddleware, requirePermission('inquiries:read'), inquiriesController.getInquiryStats);
+router.get('/:id', authMiddleware, requirePermission('inquiries:read'), inquiryQueryValidation, inquiriesController.getInquiryById);
+router.delete('/:id', authMiddleware, requirePermission('inquiries:delete'), inquiriesController.deleteInquiry);
+router.post('/:id/restore', authMiddleware, requirePermission('inquiries:delete'), inquiriesController.restoreInquiry);
+
+// Workflow routes
+router.put('/:id/status', authMiddleware, requirePermission('inquiries:write'), inquiryStatusValidation, inquiriesController.updateInquiryStatus);
+router.put('/:id/assign', authMiddleware, requirePermission('inquiries:write'), inquiryAssignmentValidation, inquiriesController.assignInquiry);
+router.post('/:id/notes', authMiddleware, requirePermission('inquiries:write'), inquiryNoteValidation, inquiriesController.addInquiryNote);
+router.post('/:id/convert', authMiddleware, requirePermission('inquiries:write', 'orders:write'), inquiryConversionValidation, inquiriesController.convertInquiry);
+
+module.exports = router;
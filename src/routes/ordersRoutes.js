@@ -1,25 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const ordersController = require('../controllers/ordersController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
-const { orderValidation, queryValidation } = require('../utils/validation');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { orderValidation, queryValidation, statusReasonValidation } = require('../utils/validation');
 
 // All routes require authentication
 router.use(authMiddleware);
 
 // Order routes
-router.get('/', queryValidation, ordersController.getAllOrders);
-router.get('/:id', ordersController.getOrderById);
-router.post('/', orderValidation, ordersController.createOrder);
-router.put('/:id', ordersController.updateOrder);
-router.delete('/:id', ordersController.deleteOrder);
+router.get('/', requirePermission('orders:read'), queryValidation, ordersController.getAllOrders);
+router.get('/statuses', requirePermission('orders:read'), ordersController.getOrderStatuses);
+router.get('/:id', requirePermission('orders:read'), ordersController.getOrderById);
+router.post('/', requirePermission('orders:write'), orderValidation, ordersController.createOrder);
+router.put('/:id', requirePermission('orders:write'), ordersController.updateOrder);
+router.delete('/:id', requirePermission('orders:delete'), ordersController.deleteOrder);
+router.post('/:id/restore', requirePermission('orders:delete'), ordersController.restoreOrder);
 
 // Order status routes
-router.put('/:id/status', ordersController.updateOrderStatus);
-router.put('/:id/send-to-courier', ordersController.sendToCourier);
+router.put('/:id/status', requirePermission('orders:status'), ordersController.updateOrderStatus);
+router.put('/:id/send-to-courier', requirePermission('orders:status'), ordersController.sendToCourier);
+router.put('/:id/cancel', requirePermission('orders:status'), statusReasonValidation, ordersController.cancelOrder);
+router.put('/:id/return', requirePermission('orders:status'), statusReasonValidation, ordersController.returnOrder);
 
 // Order utilities
-router.get('/:id/whatsapp-message', ordersController.generateWhatsAppMessage);
-router.get('/:id/timeline', ordersController.getOrderTimeline);
+router.get('/:id/whatsapp-message', requirePermission('orders:read'), ordersController.generateWhatsAppMessage);
+router.get('/:id/timeline', requirePermission('orders:read'), ordersController.getOrderTimeline);
 
 module.exports = router;
\ No newline at end of file
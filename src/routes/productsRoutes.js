@@ -1,24 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const productsController = require('../controllers/productsController');
-const { authMiddleware } = require('../middlewares/authMiddleware');
-const { productValidation, queryValidation } = require('../utils/validation');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { productValidation, stockAdjustmentValidation, productQueryValidation } = require('../utils/validation');
 
 // All routes require authentication
 router.use(authMiddleware);
 
 // Product routes
-router.get('/', queryValidation, productsController.getAllProducts);
-router.get('/stats', productsController.getProductStats);
-router.get('/search', productsController.searchProducts);
-router.get('/categories', productsController.getCategories);
-router.get('/category/:category', productsController.getProductsByCategory);
-router.get('/:id', productsController.getProductById);
-router.post('/', productValidation, productsController.createProduct);
-router.put('/:id', productsController.updateProduct);
-router.delete('/:id', productsController.deleteProduct);
+router.get('/', requirePermission('products:read'), productQueryValidation, productsController.getAllProducts);
+router.get('/stats', requirePermission('products:read'), productsController.getProductStats);
+router.get('/low-stock', requirePermission('products:read'), productsController.getLowStockProducts);
+router.get('/search', requirePermission('products:read'), productsController.searchProducts);
+router.get('/categories', requirePermission('products:read'), productsController.getCategories);
+router.get('/category/:category', requirePermission('products:read'), productsController.getProductsByCategory);
+router.get('/:id', requirePermission('products:read'), productsController.getProductById);
+router.post('/', requirePermission('products:write'), productValidation, productsController.createProduct);
+router.put('/:id', requirePermission('products:write'), productsController.updateProduct);
+router.delete('/:id', requirePermission('products:delete'), productsController.deleteProduct);
+router.post('/:id/restore', requirePermission('products:delete'), productsController.restoreProduct);
 
 // Product status routes
-router.put('/:id/status', productsController.updateProductStatus);
+router.put('/:id/status', requirePermission('products:write'), productsController.updateProductStatus);
+
+// Stock routes
+router.get('/:id/stock-movements', requirePermission('products:read'), productsController.getStockMovements);
+router.post('/:id/stock', requirePermission('inventory:write'), stockAdjustmentValidation, productsController.adjustStock);
 
 module.exports = router;
\ No newline at end of file
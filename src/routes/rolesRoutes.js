@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const rolesController = require('../controllers/rolesController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { roleValidation } = require('../utils/validation');
+
+// All routes require authentication and role management permission
+router.use(authMiddleware);
+router.use(requirePermission('roles:manage'));
+
+// Role routes
+router.get('/', rolesController.getAllRoles);
+router.get('/permissions', rolesController.getPermissions);
+router.get('/:name', rolesController.getRoleByName);
+router.post('/', roleValidation, rolesController.createRole);
+router.put('/:name', roleValidation, rolesController.updateRole);
+router.delete('/:name', rolesController.deleteRole);
+
+module.exports = router;
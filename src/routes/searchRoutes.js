@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { authMiddleware, requirePermission } = require('../middlewares/authMiddleware');
+const { searchValidation } = require('../utils/validation');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// Search routes
+router.get('/', requirePermission('search:read'), searchValidation, searchController.search);
+
+module.exports = router;
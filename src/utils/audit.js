@@ -0,0 +1,81 @@
+const AuditLog = require('../models/AuditLog');
+
+// Secrets are never copied into the audit log; a change to one shows up as '[redacted]' on both sides
+const REDACTED_FIELDS = ['password', 'totpSecret', 'totpLastStep'];
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ['updatedAt'];
+
+const REDACTED = '[redacted]';
+
+// Record types that are audited
+const AUDIT_ENTITIES = ['order', 'product', 'customer', 'user', 'role', 'inquiry'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Copy of a record without ignored fields and with secrets masked
+const sanitize = (record) => {
+  const clean = {};
+
+  Object.entries(record).forEach(([key, value]) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    clean[key] = REDACTED_FIELDS.includes(key) && value !== null && value !== undefined ? REDACTED : value;
+  });
+
+  return clean;
+};
+
+// { before, after } holding only the top-level fields that differ.
+// A create has no `before` and a delete no `after`; both keep the whole (sanitized) record.
+const diffRecords = (before, after) => {
+  if (!before || !after) {
+    return { before: before ? sanitize(before) : null, after: after ? sanitize(after) : null };
+  }
+
+  const changedBefore = {};
+  const changedAfter = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    if (IGNORED_FIELDS.includes(key) || sameValue(before[key], after[key])) return;
+
+    const redacted = REDACTED_FIELDS.includes(key);
+    changedBefore[key] = redacted ? REDACTED : before[key] ?? null;
+    changedAfter[key] = redacted ? REDACTED : after[key] ?? null;
+  });
+
+  return { before: changedBefore, after: changedAfter };
+};
+
+// Actor, IP and request id of the request making a change (user is null on unauthenticated servers)
+const auditContext = (req) => ({
+  userId: req.user ? req.user.id : null,
+  ip: req.ip || null,
+  requestId: req.id || null
+});
+
+// Record a change made while handling `req`. `userId` overrides the actor for unauthenticated
+// requests that act on a known user (e.g. password reset).
+// The change is already committed, so a failed audit write is logged instead of failing the request.
+const recordAudit = async (req, { entity, entityId, action, before = null, after = null, userId }) => {
+  try {
+    const context = auditContext(req);
+    await AuditLog.record({
+      entity,
+      entityId,
+      action,
+      ...diffRecords(before, after),
+      ...context,
+      userId: userId ?? context.userId
+    });
+  } catch (error) {
+    console.error('Audit log write failed:', error.message);
+  }
+};
+
+module.exports = {
+  AUDIT_ENTITIES,
+  diffRecords,
+  auditContext,
+  recordAudit
+};
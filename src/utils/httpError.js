@@ -0,0 +1,8 @@
+// Create an error that errorMiddleware answers with the given status code
+const createError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = { createError };
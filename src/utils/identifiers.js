@@ -0,0 +1,43 @@
+// Identifier formats. Tokens: {prefix}, {date} (YYYYMMDD) and {seq} (zero-padded sequence).
+// Formats containing {date} restart their sequence every day.
+const getIdFormat = (type) => {
+  const formats = {
+    order: {
+      prefix: process.env.ORDER_ID_PREFIX || 'ORD',
+      format: process.env.ORDER_ID_FORMAT || '{prefix}{date}-{seq}',
+      digits: parseInt(process.env.ORDER_ID_DIGITS) || 4
+    },
+    product: {
+      prefix: process.env.PRODUCT_ID_PREFIX || 'PROD',
+      format: process.env.PRODUCT_ID_FORMAT || '{prefix}{seq}',
+      digits: parseInt(process.env.PRODUCT_ID_DIGITS) || 4
+    }
+  };
+
+  return formats[type];
+};
+
+const formatDate = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}${month}${day}`;
+};
+
+// Sequence period for a format: the day for daily formats, empty for a running counter
+const getSequencePeriod = (format, date = new Date()) => {
+  return format.includes('{date}') ? formatDate(date) : '';
+};
+
+const formatIdentifier = ({ prefix, format, digits }, sequence, date = new Date()) => {
+  return format
+    .replace('{prefix}', prefix)
+    .replace('{date}', formatDate(date))
+    .replace('{seq}', String(sequence).padStart(digits, '0'));
+};
+
+module.exports = {
+  getIdFormat,
+  getSequencePeriod,
+  formatIdentifier
+};
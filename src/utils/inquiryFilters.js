@@ -0,0 +1,26 @@
+const { parseList } = require('./queryBuilder');
+
+// Map request query parameters to Inquiry filters (GET /api/inquiries).
+// assignedTo: a user ID, `me` for the requesting user or `none` for unassigned inquiries.
+const buildInquiryFilters = (query = {}, { userId = null } = {}) => {
+  const filters = {};
+
+  const statuses = parseList(query.status).filter(status => status !== 'all');
+  if (statuses.length > 0) {
+    filters.status = statuses.length === 1 ? statuses[0] : statuses;
+  }
+
+  if (query.assignedTo === 'me') {
+    filters.assignedTo = userId;
+  } else if (query.assignedTo === 'none') {
+    filters.unassigned = true;
+  } else if (query.assignedTo) {
+    filters.assignedTo = parseInt(query.assignedTo);
+  }
+
+  if (query.search) filters.search = String(query.search).trim();
+
+  return filters;
+};
+
+module.exports = { buildInquiryFilters };
@@ -0,0 +1,55 @@
+// Inquiry workflow: pending → in-progress → resolved → closed. A pending inquiry can be
+// answered (resolved) or closed (spam, duplicate) straight away, and a resolved one reopened
+// when the customer comes back. Closed inquiries are final.
+const INQUIRY_LIFECYCLE = {
+  pending: {
+    label: 'Pending',
+    next: ['in-progress', 'resolved', 'closed']
+  },
+  'in-progress': {
+    label: 'In Progress',
+    next: ['resolved', 'closed']
+  },
+  resolved: {
+    label: 'Resolved',
+    next: ['closed', 'in-progress']
+  },
+  closed: {
+    label: 'Closed',
+    next: []
+  }
+};
+
+const INITIAL_INQUIRY_STATUS = 'pending';
+
+// Statuses that still need a reply
+const OPEN_INQUIRY_STATUSES = ['pending', 'in-progress'];
+
+const INQUIRY_STATUSES = Object.keys(INQUIRY_LIFECYCLE);
+
+const isValidInquiryStatus = (status) => INQUIRY_STATUSES.includes(status);
+
+const canTransitionInquiry = (fromStatus, toStatus) => {
+  return INQUIRY_LIFECYCLE[fromStatus]?.next.includes(toStatus) || false;
+};
+
+// Machine-readable description of the workflow
+const describeInquiryLifecycle = () => ({
+  initial: INITIAL_INQUIRY_STATUS,
+  statuses: INQUIRY_STATUSES.map(value => ({
+    value,
+    label: INQUIRY_LIFECYCLE[value].label,
+    open: OPEN_INQUIRY_STATUSES.includes(value),
+    next: INQUIRY_LIFECYCLE[value].next
+  }))
+});
+
+module.exports = {
+  INQUIRY_LIFECYCLE,
+  INQUIRY_STATUSES,
+  INITIAL_INQUIRY_STATUS,
+  OPEN_INQUIRY_STATUSES,
+  isValidInquiryStatus,
+  canTransitionInquiry,
+  describeInquiryLifecycle
+};
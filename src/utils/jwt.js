@@ -1,9 +1,15 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-// Generate JWT token
+// Access tokens are short-lived JWTs; each carries a unique `jti` so it can be revoked on logout.
+// Sessions are extended with opaque refresh tokens (see models/RefreshToken).
+const DEFAULT_ACCESS_EXPIRE = '15m';
+
+// Generate JWT access token
 const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+    expiresIn: process.env.JWT_EXPIRE || DEFAULT_ACCESS_EXPIRE,
+    jwtid: crypto.randomUUID()
   });
 };
 
@@ -25,8 +31,16 @@ const decodeToken = (token) => {
   }
 };
 
+// Opaque random token (refresh tokens); only its hash is stored
+const generateOpaqueToken = () => crypto.randomBytes(48).toString('base64url');
+
+// SHA-256 hex digest used to look up stored tokens
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
 module.exports = {
   generateToken,
   verifyToken,
-  decodeToken
-};
\ No newline at end of file
+  decodeToken,
+  generateOpaqueToken,
+  hashToken
+};
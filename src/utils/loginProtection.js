@@ -0,0 +1,32 @@
+// Brute-force protection settings for POST /api/auth/login.
+// Accounts lock after LOGIN_MAX_ATTEMPTS consecutive failures; an IP is refused after
+// LOGIN_IP_MAX_ATTEMPTS failures within LOGIN_IP_WINDOW_MINUTES. Every failure is delayed a little longer.
+const getLoginConfig = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+  // Names are guessable; set LOGIN_ALLOW_NAME=false to require the email address
+  allowNameLogin: process.env.LOGIN_ALLOW_NAME !== 'false'
+});
+
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 4000;
+
+// Delay before answering an attempt after `failures` recent failures: 0, 250ms, 500ms, 1s ... 4s
+const getLoginDelay = (failures) => {
+  if (failures <= 0) return 0;
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Whole seconds until a lock expires (for Retry-After)
+const secondsUntil = (date) => Math.max(Math.ceil((new Date(date).getTime() - Date.now()) / 1000), 1);
+
+module.exports = {
+  getLoginConfig,
+  getLoginDelay,
+  sleep,
+  secondsUntil
+};
@@ -0,0 +1,72 @@
+// Size-bounded cache with per-entry expiry. A Map keeps insertion order, so re-inserting an
+// entry on every hit leaves the least recently used entry first, ready to be evicted.
+class LRUCache {
+  constructor({ max = 500, ttl = 5 * 60 * 1000 } = {}) {
+    this.max = max;
+    this.ttl = ttl;
+    this.entries = new Map();
+    this.metrics = { hits: 0, misses: 0, evictions: 0, expirations: 0, invalidations: 0 };
+  }
+
+  // Get a live entry (undefined when missing or expired)
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.metrics.misses++;
+      return undefined;
+    }
+
+    if (Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      this.metrics.expirations++;
+      this.metrics.misses++;
+      return undefined;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.metrics.hits++;
+    return entry.value;
+  }
+
+  // Store an entry, evicting the least recently used one when full
+  set(key, value) {
+    this.entries.delete(key);
+
+    if (this.entries.size >= this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.metrics.evictions++;
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttl });
+  }
+
+  // Drop an entry; returns whether it was cached
+  delete(key) {
+    const deleted = this.entries.delete(key);
+    if (deleted) this.metrics.invalidations++;
+    return deleted;
+  }
+
+  clear() {
+    this.metrics.invalidations += this.entries.size;
+    this.entries.clear();
+  }
+
+  // Current size, limits and counters since start
+  stats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+
+    return {
+      size: this.entries.size,
+      max: this.max,
+      ttl: this.ttl,
+      ...this.metrics,
+      hitRate: lookups > 0 ? Math.round((this.metrics.hits / lookups) * 1000) / 1000 : null
+    };
+  }
+}
+
+module.exports = LRUCache;
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing messages to users (password reset links, ...).
+// NOTIFY_TRANSPORT picks how they are delivered. `console` and `file` are for local development;
+// a real transport (SMTP, SMS gateway) is added with registerTransport(name, send). Outside
+// production an unset NOTIFY_TRANSPORT prints to the console; in production nothing is sent
+// until it is set, so reset tokens never end up in the logs by default.
+const DEFAULT_FILE = path.join(__dirname, '../../logs/notifications.log');
+
+const transports = {
+  // Print the message to stdout
+  console: async (message) => {
+    console.log(`📨 To: ${message.to}\n   Subject: ${message.subject}\n\n${message.text}\n`);
+  },
+
+  // Append the message as a JSON line to NOTIFY_FILE
+  file: async (message) => {
+    const file = process.env.NOTIFY_FILE || DEFAULT_FILE;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + '\n');
+  }
+};
+
+// Add or replace a transport; `send` receives { to, subject, text, type }
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const getTransportName = () => {
+  if (process.env.NOTIFY_TRANSPORT) return process.env.NOTIFY_TRANSPORT;
+  return process.env.NODE_ENV === 'production' ? null : 'console';
+};
+
+// Deliver a message through the configured transport
+const sendNotification = async (message) => {
+  const name = getTransportName();
+  if (!name) {
+    throw new Error('NOTIFY_TRANSPORT must be set in production');
+  }
+
+  const send = transports[name];
+
+  if (!send) {
+    throw new Error(`Unknown notification transport: ${name}`);
+  }
+
+  await send(message);
+};
+
+module.exports = {
+  registerTransport,
+  getTransportName,
+  sendNotification
+};
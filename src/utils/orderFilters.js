@@ -0,0 +1,61 @@
+const { parseList, parseSortSpec, buildSort } = require('./queryBuilder');
+
+// Filter and sort grammar for order lists (GET /api/orders, courier orders).
+// Sort fields are whitelisted; only these SQL expressions ever reach ORDER BY.
+const ORDER_SORT_FIELDS = {
+  createdAt: { column: 'createdAt' },
+  updatedAt: { column: 'updatedAt' },
+  total_amount: { column: 'COALESCE(total_amount, 0)', fallback: 0 },
+  quantity: { column: 'quantity' },
+  order_id: { column: 'order_id' },
+  fullName: { column: 'fullName' }
+};
+
+// "total_amount:desc,createdAt:asc" -> [{ field, direction }]
+const parseOrderSort = (value) => parseSortSpec(value, ORDER_SORT_FIELDS);
+
+// Sort spec -> pagination sort entries
+const buildOrderSort = (value) => buildSort(value, ORDER_SORT_FIELDS);
+
+// Map request query parameters to Order filters
+const buildOrderFilters = (query = {}) => {
+  const filters = {};
+
+  const statuses = parseList(query.status).filter(status => status !== 'all');
+  if (statuses.length > 0) {
+    filters.status = statuses.length === 1 ? statuses[0] : statuses;
+  }
+
+  const productIds = parseList(query.product_id);
+  if (productIds.length > 0) {
+    filters.productIds = productIds;
+  }
+
+  if (query.search) filters.search = String(query.search).trim();
+  if (query.district) filters.district = String(query.district).trim();
+
+  ['minAmount', 'maxAmount'].forEach(key => {
+    if (query[key] !== undefined && query[key] !== '') filters[key] = parseFloat(query[key]);
+  });
+
+  ['minQuantity', 'maxQuantity'].forEach(key => {
+    if (query[key] !== undefined && query[key] !== '') filters[key] = parseInt(query[key]);
+  });
+
+  // startDate/endDate are kept as aliases for the created range
+  const createdFrom = query.createdFrom || query.startDate;
+  const createdTo = query.createdTo || query.endDate;
+  if (createdFrom) filters.createdFrom = createdFrom;
+  if (createdTo) filters.createdTo = createdTo;
+  if (query.updatedFrom) filters.updatedFrom = query.updatedFrom;
+  if (query.updatedTo) filters.updatedTo = query.updatedTo;
+
+  return filters;
+};
+
+module.exports = {
+  ORDER_SORT_FIELDS,
+  parseOrderSort,
+  buildOrderSort,
+  buildOrderFilters
+};
@@ -0,0 +1,108 @@
+// Order lifecycle: every status and the statuses it may move to next.
+// received → issued → sended → in-transit → delivered, with cancellation
+// before dispatch, return-to-origin (rto) while with the courier, and
+// customer returns after delivery.
+const ORDER_LIFECYCLE = {
+  received: {
+    label: 'Received',
+    next: ['issued', 'cancelled']
+  },
+  issued: {
+    label: 'Issued',
+    next: ['sended', 'cancelled']
+  },
+  sended: {
+    label: 'Sent to Courier',
+    next: ['in-transit', 'delivered', 'rto']
+  },
+  'in-transit': {
+    label: 'In Transit',
+    next: ['delivered', 'rto']
+  },
+  delivered: {
+    label: 'Delivered',
+    next: ['returned']
+  },
+  cancelled: {
+    label: 'Cancelled',
+    next: []
+  },
+  returned: {
+    label: 'Returned',
+    next: []
+  },
+  rto: {
+    label: 'Returned to Origin',
+    next: []
+  }
+};
+
+const INITIAL_STATUS = 'received';
+
+// Happy path, in order
+const STATUS_SEQUENCE = ['received', 'issued', 'sended', 'in-transit', 'delivered'];
+
+// Statuses the courier side is allowed to set
+const COURIER_STATUSES = ['sended', 'in-transit', 'delivered', 'rto'];
+
+// Orders in these statuses earn no revenue and are reported separately
+const VOID_STATUSES = ['cancelled', 'returned', 'rto'];
+
+// Reason codes required when moving an order into a void status
+const STATUS_REASONS = {
+  cancelled: ['customer-request', 'duplicate-order', 'out-of-stock', 'invalid-address', 'unreachable', 'fraud', 'other'],
+  returned: ['damaged', 'wrong-item', 'not-as-described', 'customer-changed-mind', 'other'],
+  rto: ['customer-refused', 'customer-unreachable', 'address-not-found', 'damaged-in-transit', 'other']
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_LIFECYCLE);
+
+const isValidStatus = (status) => ORDER_STATUSES.includes(status);
+
+const isTerminalStatus = (status) => isValidStatus(status) && ORDER_LIFECYCLE[status].next.length === 0;
+
+const canTransition = (fromStatus, toStatus) => {
+  return ORDER_LIFECYCLE[fromStatus]?.next.includes(toStatus) || false;
+};
+
+const requiresReason = (status) => Boolean(STATUS_REASONS[status]);
+
+const isValidReason = (status, reason) => STATUS_REASONS[status]?.includes(reason) || false;
+
+// Next statuses as { value, label } for UI selects
+const getNextStatuses = (currentStatus) => {
+  const next = ORDER_LIFECYCLE[currentStatus]?.next || [];
+  return next.map(value => ({ value, label: ORDER_LIFECYCLE[value].label }));
+};
+
+// Machine-readable description of the lifecycle
+const describeLifecycle = () => ({
+  initial: INITIAL_STATUS,
+  sequence: STATUS_SEQUENCE,
+  statuses: ORDER_STATUSES.map(value => ({
+    value,
+    label: ORDER_LIFECYCLE[value].label,
+    terminal: isTerminalStatus(value),
+    courier: COURIER_STATUSES.includes(value),
+    void: VOID_STATUSES.includes(value),
+    reasons: STATUS_REASONS[value] || [],
+    next: ORDER_LIFECYCLE[value].next
+  }))
+});
+
+module.exports = {
+  ORDER_LIFECYCLE,
+  ORDER_STATUSES,
+  INITIAL_STATUS,
+  STATUS_SEQUENCE,
+  COURIER_STATUSES,
+  VOID_STATUSES,
+  STATUS_REASONS,
+  isValidStatus,
+  isTerminalStatus,
+  canTransition,
+  requiresReason,
+  isValidReason,
+  getNextStatuses,
+  describeLifecycle
+};
@@ -0,0 +1,34 @@
+const { STATUS_SEQUENCE, ORDER_LIFECYCLE } = require('./orderStatus');
+
+// Build timeline steps from the persisted status history
+// steps: [{ status, label, key? }] - `status` is looked up in history, `key` overrides the output status name
+const buildTimeline = (order, history, steps) => {
+  // Steps on the happy path before the current status count as passed even without a history entry
+  const currentIndex = STATUS_SEQUENCE.indexOf(order.status);
+
+  // Orders that left the happy path (cancelled, returned, rto) get their outcome as a final step
+  if (!STATUS_SEQUENCE.includes(order.status) && !steps.some(step => step.status === order.status)) {
+    steps = [...steps, { status: order.status, label: ORDER_LIFECYCLE[order.status]?.label || order.status }];
+  }
+
+  return steps.map(step => {
+    // Use the latest time the order entered this status
+    const entry = [...history].reverse().find(h => h.to_status === step.status);
+    const stepIndex = STATUS_SEQUENCE.indexOf(step.status);
+    const completed = Boolean(entry) || (stepIndex !== -1 && stepIndex <= currentIndex);
+
+    return {
+      status: step.key || step.status,
+      label: step.label,
+      date: entry ? entry.createdAt : null,
+      completed,
+      changedBy: entry ? entry.changed_by || null : null,
+      note: entry ? entry.note || null : null,
+      reason: entry ? entry.reason_code || null : null
+    };
+  });
+};
+
+module.exports = {
+  buildTimeline
+};
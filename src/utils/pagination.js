@@ -0,0 +1,133 @@
+const { createError } = require('./httpError');
+const { DEFAULT_SORT, buildOrderBy } = require('./queryBuilder');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Dates survive the JSON round trip as { d: iso }
+const encodeValue = (value) => (value instanceof Date ? { d: value.toISOString() } : value);
+const decodeValue = (value) => (value && typeof value === 'object' && value.d ? new Date(value.d) : value);
+
+// Cursors are opaque to clients: base64url of the last row's sort values and id
+const encodeCursor = (row, sort = DEFAULT_SORT) => {
+  const payload = { v: sort.map(({ key, fallback = null }) => encodeValue(row[key] ?? fallback)), id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!Array.isArray(v) || !Number.isInteger(id)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { values: v.map(decodeValue), id };
+  } catch (error) {
+    throw createError(400, 'Invalid cursor');
+  }
+};
+
+// Read page/pageSize (or limit)/cursor from a request query
+const parsePagination = (query = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(query.pageSize || query.limit) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  return {
+    page,
+    pageSize,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null
+  };
+};
+
+// Keyset condition for "rows after the cursor" under a multi-column sort:
+// (a > ?) OR (a = ? AND b < ?) OR (a = ? AND b = ? AND id < ?)
+const buildCursorCondition = (sort, cursor, idColumn) => {
+  if (cursor.values.length !== sort.length) {
+    throw createError(400, 'Cursor does not match the requested sort');
+  }
+
+  const keys = [...sort, { column: idColumn, direction: sort[sort.length - 1].direction }];
+  const values = [...cursor.values, cursor.id];
+  const branches = [];
+  const params = [];
+
+  keys.forEach((key, index) => {
+    const parts = [];
+
+    keys.slice(0, index).forEach((previous, previousIndex) => {
+      parts.push(`${previous.column} = ?`);
+      params.push(values[previousIndex]);
+    });
+
+    parts.push(`${key.column} ${key.direction === 'ASC' ? '>' : '<'} ?`);
+    params.push(values[index]);
+
+    branches.push(`(${parts.join(' AND ')})`);
+  });
+
+  return { condition: `(${branches.join(' OR ')})`, params };
+};
+
+// Run a paginated list query.
+// `where` includes the leading " WHERE" (or is empty). `sort` entries are { column, key, direction, fallback? }
+// where `column` is a trusted SQL expression, `key` the row property it reads and `fallback` the value
+// the expression uses for NULL; `id` breaks ties.
+// A cursor continues after the given row; otherwise `page` is used as an offset.
+const paginate = async (query, { select = '*', from, where = '', params = [], sort = DEFAULT_SORT, idColumn = 'id' }, pagination) => {
+  const { page, pageSize, cursor } = pagination;
+
+  const countRows = await query(`SELECT COUNT(*) as total FROM ${from}${where}`, params);
+
+  let sql = `SELECT ${select} FROM ${from}${where}`;
+  const rowParams = [...params];
+
+  if (cursor) {
+    const { condition, params: cursorParams } = buildCursorCondition(sort, cursor, idColumn);
+    sql += `${where ? ' AND' : ' WHERE'} ${condition}`;
+    rowParams.push(...cursorParams);
+  }
+
+  // Fetch one extra row to know whether another page follows
+  sql += `${buildOrderBy(sort, idColumn)} LIMIT ?`;
+  rowParams.push(pageSize + 1);
+
+  if (!cursor) {
+    sql += ' OFFSET ?';
+    rowParams.push((page - 1) * pageSize);
+  }
+
+  const rows = await query(sql, rowParams);
+  const hasMore = rows.length > pageSize;
+  const pageRows = hasMore ? rows.slice(0, pageSize) : rows;
+
+  return {
+    rows: pageRows,
+    total: countRows[0].total,
+    page: cursor ? null : page,
+    pageSize,
+    nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1], sort) : null
+  };
+};
+
+// Pagination fields for a list response envelope
+const paginationMeta = ({ rows, total, page, pageSize, nextCursor }) => ({
+  count: rows.length,
+  total,
+  page,
+  pageSize,
+  nextCursor
+});
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  paginate,
+  paginationMeta
+};
@@ -0,0 +1,55 @@
+// Password rules for registration, password change and password reset.
+// Length is what matters most; the character class and blocklist checks stop the obvious picks.
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 10
+});
+
+// bcrypt ignores everything after 72 bytes
+const MAX_LENGTH = 72;
+
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', 'passw0rd', 'qwerty123', 'qwertyuiop', '1234567890',
+  '12345678910', 'iloveyou123', 'admin12345', 'administrator', 'welcome123', 'letmein123',
+  'changeme123', 'abc1234567', 'monkey12345', 'football123', 'sunshine123', 'princess123'
+]);
+
+// Problems with a password, empty when it meets the policy.
+// `user` ({ email, fullName }) rejects passwords built from the account's own details.
+const checkPassword = (password, user = {}) => {
+  const { minLength } = getPasswordPolicy();
+  const value = String(password || '');
+  const lower = value.toLowerCase();
+  const problems = [];
+
+  if (value.length < minLength) {
+    problems.push(`Password must be at least ${minLength} characters long`);
+  }
+
+  if (Buffer.byteLength(value) > MAX_LENGTH) {
+    problems.push(`Password must be at most ${MAX_LENGTH} bytes long`);
+  }
+
+  if (!/\p{L}/u.test(value) || !/\p{N}/u.test(value)) {
+    problems.push('Password must contain both letters and numbers');
+  }
+
+  if (COMMON_PASSWORDS.has(lower)) {
+    problems.push('Password is too common');
+  }
+
+  const personal = [
+    String(user.email || '').split('@')[0],
+    ...String(user.fullName || '').split(/\s+/)
+  ].map(part => part.toLowerCase()).filter(part => part.length >= 3);
+
+  if (personal.some(part => lower.includes(part))) {
+    problems.push('Password must not contain your name or email');
+  }
+
+  return problems;
+};
+
+module.exports = {
+  getPasswordPolicy,
+  checkPassword
+};
@@ -0,0 +1,79 @@
+// Permission catalog: every permission a route can require, as `resource:action`.
+// Roles map to sets of these in the role_permissions table; the admin role always has all of them.
+const PERMISSIONS = {
+  'orders:read': 'View orders, timelines and WhatsApp messages',
+  'orders:write': 'Create and edit orders',
+  'orders:status': 'Change order status, cancel, return and send to courier',
+  'orders:delete': 'Delete orders',
+  'products:read': 'View products, categories and stock levels',
+  'products:write': 'Create products, edit details and prices, change product status',
+  'products:delete': 'Delete products',
+  'inventory:write': 'Adjust stock on hand',
+  'customers:read': 'View customers and their order history',
+  'customers:write': 'Create and edit customers',
+  'customers:delete': 'Delete customers',
+  'dashboard:read': 'View dashboard counts, recent orders and low stock',
+  'analytics:read': 'View revenue and sales analytics',
+  'courier:read': 'View courier orders, stats and delivery timelines',
+  'courier:update': 'Update courier delivery status',
+  'courier:all': 'See and update every courier order, not only those assigned to you',
+  'courier:assign': 'Assign orders to couriers',
+  'inquiries:read': 'View inquiries and their notes',
+  'inquiries:write': 'Change inquiry status, assign inquiries and add notes',
+  'inquiries:delete': 'Delete and restore inquiries',
+  'search:read': 'Search across orders, products and inquiries',
+  'users:manage': 'Register, list, delete users and assign roles',
+  'roles:manage': 'Create, edit and delete roles',
+  'audit:read': 'View the audit log of data changes'
+};
+
+// Built-in role that always holds every permission and cannot be edited or deleted
+const ADMIN_ROLE = 'admin';
+
+// Roles created by the seed and migration 014
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  staff: {
+    description: 'Day-to-day order handling',
+    permissions: [
+      'orders:read',
+      'orders:write',
+      'orders:status',
+      'products:read',
+      'customers:read',
+      'customers:write',
+      'dashboard:read',
+      'courier:read',
+      'courier:update',
+      'courier:all',
+      'courier:assign',
+      'inquiries:read',
+      'inquiries:write',
+      'search:read'
+    ]
+  },
+  courier: {
+    description: 'Delivers assigned orders',
+    permissions: ['courier:read', 'courier:update']
+  }
+};
+
+// Role whose users can be assigned orders
+const COURIER_ROLE = 'courier';
+
+const isValidPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// Catalog as a list for API responses
+const listPermissions = () => Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLE,
+  COURIER_ROLE,
+  DEFAULT_ROLES,
+  isValidPermission,
+  listPermissions
+};
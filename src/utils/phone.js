@@ -0,0 +1,93 @@
+// Phone numbers are stored in E.164 (+94771234567) so every way of typing the same
+// number ("077 123 4567", "94771234567", "+94 77-123-4567") matches one customer.
+// Numbers without a country code are read as local numbers of PHONE_COUNTRY (default LK).
+// nationalLength and mobilePrefixes describe the number after the country code or trunk 0.
+const COUNTRIES = {
+  LK: {
+    callingCode: '94',
+    nationalLength: 9,
+    // Mobitel 70/71, Hutch 72/78, Dialog 74/76/77, Airtel 75
+    mobilePrefixes: ['70', '71', '72', '74', '75', '76', '77', '78']
+  },
+  IN: {
+    callingCode: '91',
+    nationalLength: 10,
+    mobilePrefixes: ['6', '7', '8', '9']
+  },
+  MV: {
+    callingCode: '960',
+    nationalLength: 7,
+    mobilePrefixes: ['7', '9']
+  },
+  AE: {
+    callingCode: '971',
+    nationalLength: 9,
+    mobilePrefixes: ['50', '52', '54', '55', '56', '58']
+  },
+  GB: {
+    callingCode: '44',
+    nationalLength: 10,
+    mobilePrefixes: ['7']
+  }
+};
+
+const DEFAULT_COUNTRY = 'LK';
+
+// Country rules by ISO code; an unsupported PHONE_COUNTRY is a configuration error, not a silent LK
+const getCountry = (country = process.env.PHONE_COUNTRY || DEFAULT_COUNTRY) => {
+  const rules = COUNTRIES[String(country).toUpperCase()];
+
+  if (!rules) {
+    throw new Error(`Unsupported phone country: ${country} (supported: ${Object.keys(COUNTRIES).join(', ')})`);
+  }
+
+  return rules;
+};
+
+// Fail at startup rather than on the first request
+getCountry();
+
+// Normalize to E.164; returns null when the number is not a valid mobile number
+const normalizeMobile = (mobile, country) => {
+  const { callingCode, nationalLength, mobilePrefixes } = getCountry(country);
+  let digits = String(mobile || '').trim().replace(/[\s\-().]/g, '');
+
+  if (!/^\+?[0-9]+$/.test(digits)) {
+    return null;
+  }
+
+  // Strip the international prefix (+ or 00) and country code, or the trunk 0
+  if (digits.startsWith('+')) {
+    digits = digits.slice(1);
+    if (!digits.startsWith(callingCode)) return null;
+    digits = digits.slice(callingCode.length);
+  } else if (digits.startsWith('00' + callingCode)) {
+    digits = digits.slice(2 + callingCode.length);
+  } else if (digits.startsWith(callingCode) && digits.length === callingCode.length + nationalLength) {
+    digits = digits.slice(callingCode.length);
+  } else if (digits.startsWith('0') && digits.length === nationalLength + 1) {
+    digits = digits.slice(1);
+  }
+
+  if (digits.length !== nationalLength) {
+    return null;
+  }
+
+  if (!mobilePrefixes.some(prefix => digits.startsWith(prefix))) {
+    return null;
+  }
+
+  return `+${callingCode}${digits}`;
+};
+
+const isValidMobile = (mobile, country) => normalizeMobile(mobile, country) !== null;
+
+// Digits only, as expected by wa.me links
+const toWhatsAppNumber = (mobile) => String(mobile || '').replace(/\D/g, '');
+
+module.exports = {
+  COUNTRIES,
+  normalizeMobile,
+  isValidMobile,
+  toWhatsAppNumber
+};
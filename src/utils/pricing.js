@@ -0,0 +1,53 @@
+// Order pricing: totals are always computed server-side from line items
+
+// Round to cents
+const roundMoney = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Flat delivery fee from config, waived above FREE_DELIVERY_THRESHOLD (when set)
+const getDeliveryFee = (subtotal) => {
+  const fee = parseFloat(process.env.DELIVERY_FEE) || 0;
+  const freeThreshold = parseFloat(process.env.FREE_DELIVERY_THRESHOLD) || 0;
+
+  if (freeThreshold > 0 && subtotal >= freeThreshold) {
+    return 0;
+  }
+
+  return fee;
+};
+
+// Price a line from the product's current price
+const priceLine = (product, quantity) => {
+  const unitPrice = roundMoney(product.price);
+
+  return {
+    product_id: product.product_id,
+    product_name: product.name,
+    quantity,
+    unit_price: unitPrice,
+    line_total: roundMoney(unitPrice * quantity)
+  };
+};
+
+// Compute the breakdown stored on the order
+// deliveryFee: keep an existing fee (null/undefined uses the configured fee)
+const calculateTotals = (items, { deliveryFee = null, discount = 0 } = {}) => {
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + parseFloat(item.line_total), 0));
+  const fee = deliveryFee === null || deliveryFee === undefined
+    ? roundMoney(getDeliveryFee(subtotal))
+    : roundMoney(deliveryFee);
+  const appliedDiscount = roundMoney(discount);
+
+  return {
+    subtotal,
+    delivery_fee: fee,
+    discount: appliedDiscount,
+    total_amount: roundMoney(subtotal + fee - appliedDiscount)
+  };
+};
+
+module.exports = {
+  roundMoney,
+  getDeliveryFee,
+  priceLine,
+  calculateTotals
+};
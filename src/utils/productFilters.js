@@ -0,0 +1,62 @@
+const { parseList, parseSortSpec, buildSort } = require('./queryBuilder');
+
+// Filter and sort grammar for product lists (GET /api/products).
+// Untracked stock (NULL) sorts below every tracked quantity.
+const PRODUCT_SORT_FIELDS = {
+  createdAt: { column: 'createdAt' },
+  updatedAt: { column: 'updatedAt' },
+  name: { column: 'name' },
+  price: { column: 'price' },
+  product_id: { column: 'product_id' },
+  stock_quantity: { column: 'COALESCE(stock_quantity, -1)', fallback: -1 }
+};
+
+// in: tracked with units on hand, low: at or below the reorder threshold (as in /low-stock),
+// out: tracked and zero, untracked: stock is not tracked
+const STOCK_FILTERS = ['in', 'low', 'out', 'untracked'];
+
+const BOOLEAN_VALUES = ['true', 'false', '1', '0'];
+
+// "price:asc,name:asc" -> [{ field, direction }]
+const parseProductSort = (value) => parseSortSpec(value, PRODUCT_SORT_FIELDS);
+
+// Sort spec -> pagination sort entries
+const buildProductSort = (value) => buildSort(value, PRODUCT_SORT_FIELDS);
+
+// Map request query parameters to Product filters
+const buildProductFilters = (query = {}) => {
+  const filters = {};
+
+  const statuses = parseList(query.status).filter(status => status !== 'all');
+  if (statuses.length > 0) {
+    filters.status = statuses.length === 1 ? statuses[0] : statuses;
+  }
+
+  const categories = parseList(query.category);
+  if (categories.length > 0) {
+    filters.category = categories.length === 1 ? categories[0] : categories;
+  }
+
+  if (query.search) filters.search = String(query.search).trim();
+
+  ['minPrice', 'maxPrice'].forEach(key => {
+    if (query[key] !== undefined && query[key] !== '') filters[key] = parseFloat(query[key]);
+  });
+
+  if (query.hasImage !== undefined && query.hasImage !== '') {
+    filters.hasImage = ['true', '1'].includes(String(query.hasImage).toLowerCase());
+  }
+
+  if (query.stock) filters.stock = String(query.stock).toLowerCase();
+
+  return filters;
+};
+
+module.exports = {
+  PRODUCT_SORT_FIELDS,
+  STOCK_FILTERS,
+  BOOLEAN_VALUES,
+  parseProductSort,
+  buildProductSort,
+  buildProductFilters
+};
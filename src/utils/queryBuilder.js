@@ -0,0 +1,116 @@
+const { createError } = require('./httpError');
+
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+const MAX_SORT_FIELDS = 3;
+
+// Newest first
+const DEFAULT_SORT = [{ column: 'createdAt', key: 'createdAt', direction: 'DESC' }];
+
+// "a,b, c" -> ['a', 'b', 'c']
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+// Collects WHERE conditions with their parameters, always joined with AND
+const whereBuilder = () => {
+  const conditions = [];
+  const params = [];
+
+  const builder = {
+    // Add a condition unconditionally
+    add(condition, ...values) {
+      conditions.push(condition);
+      params.push(...values);
+      return builder;
+    },
+
+    // Add a condition only when `value` is set (not undefined, null, '' or an empty array)
+    when(value, condition, ...values) {
+      const empty = value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+
+      if (!empty) {
+        builder.add(condition, ...(values.length > 0 ? values : [value]));
+      }
+      return builder;
+    },
+
+    // { where: ' WHERE ...' or '', params }
+    build() {
+      return {
+        where: conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '',
+        params: [...params]
+      };
+    }
+  };
+
+  return builder;
+};
+
+// "price:desc,name:asc" -> [{ field, direction }]; throws 400 on anything off the whitelist
+const parseSortSpec = (value, fields) => {
+  const entries = parseList(value);
+
+  if (entries.length > MAX_SORT_FIELDS) {
+    throw createError(400, `Sort by at most ${MAX_SORT_FIELDS} fields`);
+  }
+
+  return entries.map(entry => {
+    const [field, direction = 'asc'] = entry.split(':');
+
+    if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+      throw createError(400, `Cannot sort by ${field}. Sortable fields: ${Object.keys(fields).join(', ')}`);
+    }
+
+    if (!SORT_DIRECTIONS.includes(direction.toLowerCase())) {
+      throw createError(400, `Invalid sort direction for ${field}: use asc or desc`);
+    }
+
+    return { field, direction: direction.toLowerCase() };
+  });
+};
+
+// Sort spec -> sort entries ({ column, key, direction, fallback }); undefined when no sort was asked for
+const buildSort = (value, fields) => {
+  const spec = parseSortSpec(value, fields);
+  if (spec.length === 0) return undefined;
+
+  return spec.map(({ field, direction }) => ({
+    ...fields[field],
+    key: field,
+    direction: direction.toUpperCase()
+  }));
+};
+
+// ORDER BY clause with id as the final tie-breaker so row order is stable
+const buildOrderBy = (sort = DEFAULT_SORT, idColumn = 'id') => {
+  const orderBy = sort.map(({ column, direction }) => `${column} ${direction}`);
+  orderBy.push(`${idColumn} ${sort[sort.length - 1].direction}`);
+  return ` ORDER BY ${orderBy.join(', ')}`;
+};
+
+// Full (unpaginated) list query
+const buildListQuery = ({ select = '*', from, where = '', params = [], sort = DEFAULT_SORT, limit = null }) => {
+  let sql = `SELECT ${select} FROM ${from}${where}${buildOrderBy(sort)}`;
+  const values = [...params];
+
+  if (limit) {
+    sql += ' LIMIT ?';
+    values.push(parseInt(limit));
+  }
+
+  return { sql, params: values };
+};
+
+module.exports = {
+  DEFAULT_SORT,
+  parseList,
+  whereBuilder,
+  parseSortSpec,
+  buildSort,
+  buildOrderBy,
+  buildListQuery
+};
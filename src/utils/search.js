@@ -0,0 +1,103 @@
+const { normalizeMobile } = require('./phone');
+
+// Search helpers shared by the FULLTEXT and token (LIKE) engines.
+// Both engines retrieve rows differently but rank and highlight them here, so results
+// come back in the same order whichever engine ran.
+
+const MAX_TERMS = 8;
+
+// InnoDB ignores words shorter than innodb_ft_min_token_size (default 3) and its stopwords;
+// queries containing them go through the token engine instead
+const FULLTEXT_MIN_TOKEN = 3;
+
+const FULLTEXT_STOPWORDS = new Set([
+  'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from', 'how', 'i',
+  'in', 'is', 'it', 'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when',
+  'where', 'who', 'will', 'with', 'und', 'www'
+]);
+
+const SNIPPET_LENGTH = 120;
+
+// Split a query into lowercase search terms.
+// A query that is a mobile number becomes its E.164 digits, which is how it is stored and indexed.
+const tokenize = (query) => {
+  const text = String(query || '').trim();
+  const mobile = normalizeMobile(text);
+
+  if (mobile) {
+    return [mobile.slice(1)];
+  }
+
+  const terms = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+};
+
+// Whether every term can be answered by a FULLTEXT index
+const canUseFulltext = (terms) => {
+  return terms.length > 0 &&
+    terms.every(term => term.length >= FULLTEXT_MIN_TOKEN && !FULLTEXT_STOPWORDS.has(term));
+};
+
+// Terms -> boolean-mode query requiring every term as a prefix: "+kandy* +oil*"
+const toBooleanQuery = (terms) => terms.map(term => `+${term}*`).join(' ');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const termPattern = (terms) => new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'iu');
+
+// Rank a row: each term scores the weight of every field containing it,
+// doubled when a field starts with the term
+const scoreRow = (row, fields, terms) => {
+  let score = 0;
+
+  terms.forEach(term => {
+    fields.forEach(({ column, weight = 1 }) => {
+      const value = String(row[column] ?? '').toLowerCase();
+      const index = value.indexOf(term);
+
+      if (index !== -1) {
+        score += index === 0 ? weight * 2 : weight;
+      }
+    });
+  });
+
+  return score;
+};
+
+// HTML-escaped excerpt of the first column that matches, with terms wrapped in <mark>
+const highlight = (row, columns, terms) => {
+  const pattern = termPattern(terms);
+  const column = columns.find(name => row[name] && pattern.test(String(row[name])));
+
+  if (!column) return null;
+
+  const text = String(row[column]).replace(/\s+/g, ' ');
+  const { index } = pattern.exec(text);
+
+  // Centre the window on the first match
+  const start = Math.floor(Math.max(0, Math.min(index - SNIPPET_LENGTH / 3, text.length - SNIPPET_LENGTH)));
+  const marked = text.slice(start, start + SNIPPET_LENGTH)
+    .split(pattern)
+    .map((part, position) => (position % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return {
+    field: column,
+    text: `${start > 0 ? '…' : ''}${marked}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`
+  };
+};
+
+module.exports = {
+  FULLTEXT_MIN_TOKEN,
+  tokenize,
+  canUseFulltext,
+  toBooleanQuery,
+  scoreRow,
+  highlight
+};
@@ -0,0 +1,61 @@
+const { Order, Product, User, Inquiry } = require('../models');
+const { createError } = require('./httpError');
+
+// Deleted orders, products, users and inquiries keep their row with `deletedAt` set and can be
+// restored until the purge job removes them SOFT_DELETE_RETENTION_DAYS later.
+// SOFT_DELETE_PURGE_INTERVAL_HOURS=0 turns the in-process purge off (e.g. when run from cron).
+const getSoftDeleteConfig = () => {
+  const intervalHours = parseInt(process.env.SOFT_DELETE_PURGE_INTERVAL_HOURS);
+
+  return {
+    retentionDays: parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30,
+    purgeIntervalHours: Number.isNaN(intervalHours) ? 24 : Math.max(intervalHours, 0)
+  };
+};
+
+// Whether a request asked for deleted rows (?includeDeleted=true). Only users who may delete, and
+// so restore, that record type can see them. Must run after requirePermission (req.permissions).
+const includeDeleted = (req, permission) => {
+  if (!['true', '1'].includes(String(req.query.includeDeleted).toLowerCase())) return false;
+
+  if (!(req.permissions || []).includes(permission)) {
+    throw createError(403, `Forbidden: Missing permission ${permission}`);
+  }
+
+  return true;
+};
+
+// Permanently remove rows deleted more than `retentionDays` ago; returns counts per table
+const purgeDeleted = async (retentionDays = getSoftDeleteConfig().retentionDays) => {
+  return {
+    orders: await Order.purgeDeleted(retentionDays),
+    products: await Product.purgeDeleted(retentionDays),
+    users: await User.purgeDeleted(retentionDays),
+    inquiries: await Inquiry.purgeDeleted(retentionDays)
+  };
+};
+
+// Run purgeDeleted every SOFT_DELETE_PURGE_INTERVAL_HOURS (the timer does not keep the process alive)
+const schedulePurge = () => {
+  const { purgeIntervalHours } = getSoftDeleteConfig();
+  if (purgeIntervalHours === 0) return null;
+
+  const timer = setInterval(async () => {
+    try {
+      const purged = await purgeDeleted();
+      console.log('Purged soft deleted rows:', purged);
+    } catch (error) {
+      console.error('Soft delete purge failed:', error.message);
+    }
+  }, purgeIntervalHours * 60 * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getSoftDeleteConfig,
+  includeDeleted,
+  purgeDeleted,
+  schedulePurge
+};
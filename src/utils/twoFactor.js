@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { parseList } = require('./queryBuilder');
+
+// Two-factor login settings. TWO_FACTOR_REQUIRED_ROLES lists roles that must enroll before they
+// can use any permission-protected route; TWO_FACTOR_CHALLENGE_MINUTES bounds the second login step.
+const getTwoFactorConfig = () => ({
+  issuer: process.env.TOTP_ISSUER || 'OMS',
+  requiredRoles: parseList(process.env.TWO_FACTOR_REQUIRED_ROLES),
+  challengeMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES) || 5
+});
+
+// Whether users with this role must have 2FA enabled
+const isTwoFactorRequired = (role) => getTwoFactorConfig().requiredRoles.includes(role);
+
+// Marks challenge tokens so authMiddleware never accepts them as access tokens
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+// Short-lived token proving the password step of a login succeeded
+const generateChallengeToken = (user) => {
+  return jwt.sign({ id: user.id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: `${getTwoFactorConfig().challengeMinutes}m`,
+    jwtid: crypto.randomUUID()
+  });
+};
+
+// Decoded challenge token, or null when invalid, expired or not a challenge
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE && decoded.jti ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// One-time recovery codes, "XXXX-XXXX-XXXX" (no 0/O or 1/I to misread)
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(12), byte => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]);
+    return [0, 4, 8].map(start => chars.slice(start, start + 4).join('')).join('-');
+  });
+};
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+module.exports = {
+  CHALLENGE_PURPOSE,
+  getTwoFactorConfig,
+  isTwoFactorRequired,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -0,0 +1,26 @@
+const LRUCache = require('./lruCache');
+
+// Users looked up by authMiddleware, keyed by id. The cache lives in this process only:
+// User.update/User.delete invalidate it here, other server processes keep their copy until the TTL.
+const userCache = new LRUCache({
+  max: parseInt(process.env.AUTH_CACHE_MAX) || 500,
+  ttl: (parseInt(process.env.AUTH_CACHE_TTL_SECONDS) || 300) * 1000
+});
+
+const cacheKey = (id) => `user_${id}`;
+
+const getCachedUser = (id) => userCache.get(cacheKey(id));
+
+const cacheUser = (user) => userCache.set(cacheKey(user.id), user);
+
+// Forget a user after it changed or was deleted
+const invalidateUser = (id) => userCache.delete(cacheKey(id));
+
+const getUserCacheStats = () => userCache.stats();
+
+module.exports = {
+  getCachedUser,
+  cacheUser,
+  invalidateUser,
+  getUserCacheStats
+};
@@ -1,4 +1,12 @@
 const { body, query, param, validationResult } = require('express-validator');
+const { isValidMobile } = require('./phone');
+const { isValidPermission } = require('./permissions');
+const { AUDIT_ENTITIES } = require('./audit');
+const { checkPassword } = require('./passwordPolicy');
+const Role = require('../models/Role');
+const { parseOrderSort } = require('./orderFilters');
+const { parseProductSort, STOCK_FILTERS, BOOLEAN_VALUES } = require('./productFilters');
+const { INQUIRY_STATUSES } = require('./inquiryStatus');
 
 // Common validation rules
 const validate = (validations) => {
@@ -18,6 +26,13 @@ const validate = (validations) => {
   };
 };
 
+// Password policy check; `getUser` supplies the account details the password must not contain
+const passwordPolicyRule = (field, getUser) => body(field).custom((value, { req }) => {
+  const problems = checkPassword(value, getUser(req));
+  if (problems.length > 0) throw new Error(problems.join('; '));
+  return true;
+});
+
 // Login validation
 const loginValidation = validate([
   body('email').optional().isEmail().withMessage('Please provide a valid email'),
@@ -25,14 +40,50 @@ const loginValidation = validate([
   body('password').notEmpty().withMessage('Password is required')
 ]);
 
+// Refresh token validation
+const refreshTokenValidation = validate([
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+]);
+
+// Logout validation (refresh token is optional)
+const logoutValidation = validate([
+  body('refreshToken').optional().isString().withMessage('Refresh token must be a string')
+]);
+
 // Register validation
 const registerValidation = validate([
   body('fullName').notEmpty().withMessage('Full name is required'),
   body('email').isEmail().withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
-  body('role').optional().isIn(['admin', 'staff']).withMessage('Invalid role')
+  passwordPolicyRule('password', req => req.body),
+  body('role').optional().custom(async (value) => {
+    if (!(await Role.exists(value))) throw new Error('Invalid role');
+    return true;
+  })
+]);
+
+// Role assignment validation
+const roleAssignmentValidation = validate([
+  body('role').notEmpty().withMessage('Role is required').bail()
+    .custom(async (value) => {
+      if (!(await Role.exists(value))) throw new Error('Invalid role');
+      return true;
+    })
+]);
+
+// Role validation (name only on create)
+const roleValidation = validate([
+  body('name').if((value, { req }) => req.method === 'POST')
+    .matches(/^[a-z][a-z0-9_-]{1,49}$/)
+    .withMessage('Role name must be 2-50 lowercase letters, digits, - or _'),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 255 }),
+  body('permissions').if((value, { req }) => req.method === 'POST')
+    .isArray().withMessage('Permissions must be an array'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array').bail()
+    .custom((permissions) => {
+      const unknown = permissions.filter(permission => !isValidPermission(permission));
+      if (unknown.length > 0) throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+      return true;
+    })
 ]);
 
 // Product validation
@@ -41,24 +92,64 @@ const productValidation = validate([
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('status').optional().isIn(['available', 'out-of-stock', 'discontinued']),
   body('category').optional().isString(),
-  body('description').optional().isString()
+  body('description').optional().isString(),
+  body('stock_quantity').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Stock quantity must be zero or more'),
+  body('reorder_threshold').optional().isInt({ min: 0 }).withMessage('Reorder threshold must be zero or more')
+]);
+
+// Stock adjustment validation
+const stockAdjustmentValidation = validate([
+  body('change').isInt().not().equals('0').withMessage('Change must be a non-zero whole number'),
+  body('type').optional().isIn(['adjustment', 'receipt']).withMessage('Type must be adjustment or receipt'),
+  body('note').optional().isString()
 ]);
 
-// Order validation
+// Order validation (either items[] or a single product_id/quantity)
 const orderValidation = validate([
   body('fullName').notEmpty().withMessage('Full name is required'),
   body('address').notEmpty().withMessage('Address is required'),
-  body('mobile').notEmpty().withMessage('Mobile number is required'),
-  body('product_id').notEmpty().withMessage('Product ID is required'),
-  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+  body('mobile').notEmpty().withMessage('Mobile number is required')
+    .bail().custom(value => isValidMobile(value)).withMessage('Please provide a valid mobile number'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.product_id').notEmpty().withMessage('Product ID is required for each item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1 for each item'),
+  body('product_id').if(body('items').not().exists())
+    .notEmpty().withMessage('Product ID is required'),
+  body('quantity').if(body('items').not().exists())
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('discount').optional().isFloat({ min: 0 }).withMessage('Discount must be a positive number')
+]);
+
+// Customer validation (mobile is optional on update)
+const customerValidation = validate([
+  body('fullName').if((value, { req }) => req.method === 'POST')
+    .notEmpty().withMessage('Full name is required'),
+  body('mobile').if((value, { req }) => req.method === 'POST')
+    .notEmpty().withMessage('Mobile number is required'),
+  body('mobile').optional()
+    .custom(value => isValidMobile(value)).withMessage('Please provide a valid mobile number'),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Please provide a valid email'),
+  body('address').optional().isString(),
+  body('notes').optional().isString()
+]);
+
+// Courier assignment validation (null unassigns)
+const courierAssignmentValidation = validate([
+  body('courierId').exists().withMessage('courierId is required').bail()
+    .custom(value => value === null || (Number.isInteger(Number(value)) && Number(value) > 0))
+    .withMessage('courierId must be a user ID or null')
+]);
+
+// Cancel/return reason validation
+const statusReasonValidation = validate([
+  body('reason').notEmpty().withMessage('Reason is required'),
+  body('note').optional().isString()
 ]);
 
 // Password change validation
 const passwordChangeValidation = validate([
   body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long'),
+  passwordPolicyRule('newPassword', req => req.user || {}),
   body('confirmPassword').custom((value, { req }) => {
     if (value !== req.body.newPassword) {
       throw new Error('Passwords do not match');
@@ -67,6 +158,45 @@ const passwordChangeValidation = validate([
   })
 ]);
 
+// Two-factor code validation (TOTP or recovery code)
+const twoFactorCodeValidation = validate([
+  body('code').isString().notEmpty().withMessage('Two-factor code is required')
+]);
+
+// Second login step validation
+const twoFactorLoginValidation = validate([
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').isString().notEmpty().withMessage('Two-factor code is required')
+]);
+
+// Two-factor setup validation (password confirms it is the account owner)
+const twoFactorSetupValidation = validate([
+  body('password').notEmpty().withMessage('Password is required')
+]);
+
+// Two-factor disable validation
+const twoFactorDisableValidation = validate([
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isString().notEmpty().withMessage('Two-factor code is required')
+]);
+
+// Forgot password validation
+const forgotPasswordValidation = validate([
+  body('email').isEmail().withMessage('Please provide a valid email')
+]);
+
+// Password reset validation (checks against the account's name and email happen once the token is resolved)
+const resetPasswordValidation = validate([
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  passwordPolicyRule('password', () => ({})),
+  body('confirmPassword').custom((value, { req }) => {
+    if (value !== req.body.password) {
+      throw new Error('Passwords do not match');
+    }
+    return true;
+  })
+]);
+
 // Profile update validation
 const profileUpdateValidation = validate([
   body('fullName').optional().isString(),
@@ -74,24 +204,184 @@ const profileUpdateValidation = validate([
   body('phone').optional().isString()
 ]);
 
-// Query validation
-const queryValidation = validate([
+// Pagination rules shared by list endpoints
+const paginationRules = [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('pageSize').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().isBase64({ urlSafe: true }).withMessage('Invalid cursor')
+];
+
+// Query validation
+const queryValidation = validate([
+  ...paginationRules,
   query('search').optional().isString(),
   query('status').optional().isString(),
   query('category').optional().isString(),
   query('startDate').optional().isDate(),
-  query('endDate').optional().isDate()
+  query('endDate').optional().isDate(),
+  query('includeDeleted').optional().isIn(BOOLEAN_VALUES).withMessage('includeDeleted must be true or false'),
+  // Order filters and sort (see utils/orderFilters)
+  query('product_id').optional().matches(/^[A-Za-z0-9_-]+(,[A-Za-z0-9_-]+)*$/)
+    .withMessage('product_id must be a comma-separated list of product IDs'),
+  query('district').optional().isString().isLength({ max: 50 }),
+  query(['minAmount', 'maxAmount']).optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  query(['minQuantity', 'maxQuantity']).optional().isInt({ min: 0 }).withMessage('Quantity must be a whole number'),
+  query(['createdFrom', 'createdTo', 'updatedFrom', 'updatedTo']).optional().isDate(),
+  query('maxAmount').optional().custom((value, { req }) => {
+    if (req.query.minAmount !== undefined && parseFloat(value) < parseFloat(req.query.minAmount)) {
+      throw new Error('maxAmount must be greater than or equal to minAmount');
+    }
+    return true;
+  }),
+  query('maxQuantity').optional().custom((value, { req }) => {
+    if (req.query.minQuantity !== undefined && parseInt(value) < parseInt(req.query.minQuantity)) {
+      throw new Error('maxQuantity must be greater than or equal to minQuantity');
+    }
+    return true;
+  }),
+  query('sort').optional().custom((value) => {
+    parseOrderSort(value);
+    return true;
+  })
+]);
+
+// Product list query validation (see utils/productFilters)
+const productQueryValidation = validate([
+  ...paginationRules,
+  query('search').optional().isString(),
+  query('status').optional().isString(),
+  query('category').optional().isString().isLength({ max: 500 }),
+  query(['minPrice', 'maxPrice']).optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  query('maxPrice').optional().custom((value, { req }) => {
+    if (req.query.minPrice !== undefined && parseFloat(value) < parseFloat(req.query.minPrice)) {
+      throw new Error('maxPrice must be greater than or equal to minPrice');
+    }
+    return true;
+  }),
+  query('hasImage').optional().isIn(BOOLEAN_VALUES).withMessage('hasImage must be true or false'),
+  query('stock').optional().isIn(STOCK_FILTERS).withMessage(`stock must be one of: ${STOCK_FILTERS.join(', ')}`),
+  query('includeDeleted').optional().isIn(BOOLEAN_VALUES).withMessage('includeDeleted must be true or false'),
+  query('sort').optional().custom((value) => {
+    parseProductSort(value);
+    return true;
+  })
+]);
+
+// Public inquiry submission (an email or mobile number is needed to reply)
+const inquiryValidation = validate([
+  body('message').isString().trim().notEmpty().withMessage('Message is required')
+    .isLength({ max: 2000 }).withMessage('Message must be at most 2000 characters'),
+  body('name').optional().isString().trim().isLength({ max: 255 }),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Please provide a valid email'),
+  body('mobile').optional({ checkFalsy: true })
+    .custom(value => isValidMobile(value)).withMessage('Please provide a valid mobile number'),
+  body().custom((value, { req }) => {
+    if (!req.body.email && !req.body.mobile) throw new Error('An email or mobile number is required');
+    return true;
+  })
+]);
+
+// Inquiry status change (optional note is kept with the inquiry)
+const inquiryStatusValidation = validate([
+  body('status').isIn(INQUIRY_STATUSES).withMessage(`Status must be one of: ${INQUIRY_STATUSES.join(', ')}`),
+  body('note').optional().isString().trim().isLength({ max: 2000 }).withMessage('Note must be at most 2000 characters')
+]);
+
+// Inquiry assignment (null unassigns)
+const inquiryAssignmentValidation = validate([
+  body('assignedTo').exists().withMessage('assignedTo is required').bail()
+    .custom(value => value === null || (Number.isInteger(Number(value)) && Number(value) > 0))
+    .withMessage('assignedTo must be a user ID or null')
+]);
+
+// Inquiry reply note
+const inquiryNoteValidation = validate([
+  body('note').isString().trim().notEmpty().withMessage('Note is required')
+    .isLength({ max: 2000 }).withMessage('Note must be at most 2000 characters')
+]);
+
+// Inquiry → order conversion (name and mobile default to the inquiry's, so only the
+// delivery address and products are required)
+const inquiryConversionValidation = validate([
+  body('fullName').optional().isString().trim().notEmpty().withMessage('Full name cannot be empty'),
+  body('address').notEmpty().withMessage('Address is required'),
+  body('mobile').optional({ checkFalsy: true })
+    .custom(value => isValidMobile(value)).withMessage('Please provide a valid mobile number'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.product_id').notEmpty().withMessage('Product ID is required for each item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1 for each item'),
+  body('product_id').if(body('items').not().exists())
+    .notEmpty().withMessage('Product ID is required'),
+  body('quantity').if(body('items').not().exists())
+    .isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('discount').optional().isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('notes').optional().isString()
+]);
+
+// Inquiry list query validation
+const inquiryQueryValidation = validate([
+  ...paginationRules,
+  query('status').optional().custom(value => {
+    const invalid = String(value).split(',').map(status => status.trim())
+      .filter(status => status && status !== 'all' && !INQUIRY_STATUSES.includes(status));
+    if (invalid.length > 0) throw new Error(`Status must be one of: ${INQUIRY_STATUSES.join(', ')}`);
+    return true;
+  }),
+  query('assignedTo').optional().matches(/^(me|none|[1-9][0-9]*)$/).withMessage('assignedTo must be a user ID, me or none'),
+  query('search').optional().isString().isLength({ max: 100 }),
+  query('includeDeleted').optional().isIn(BOOLEAN_VALUES).withMessage('includeDeleted must be true or false')
+]);
+
+// Audit log query validation
+const auditQueryValidation = validate([
+  ...paginationRules,
+  query('entity').optional().isIn(AUDIT_ENTITIES).withMessage(`Entity must be one of: ${AUDIT_ENTITIES.join(', ')}`),
+  query('entityId').optional().isString().isLength({ max: 64 }),
+  query('userId').optional().isInt({ min: 1 }).withMessage('userId must be a user ID'),
+  query('action').optional().isString().isLength({ max: 30 }),
+  query('requestId').optional().isString().isLength({ max: 64 }),
+  query(['from', 'to']).optional().isDate().withMessage('Dates must be YYYY-MM-DD')
+]);
+
+// Search query validation
+const searchValidation = validate([
+  query('q').trim().notEmpty().withMessage('Search query is required')
+    .isLength({ max: 100 }).withMessage('Search query must be at most 100 characters'),
+  query('types').optional().matches(/^[a-z]+(,[a-z]+)*$/).withMessage('types must be a comma-separated list'),
+  query('limit').optional().isInt({ min: 1, max: 50 })
 ]);
 
 module.exports = {
   validate,
   loginValidation,
+  refreshTokenValidation,
+  logoutValidation,
   registerValidation,
+  roleAssignmentValidation,
+  roleValidation,
   productValidation,
+  stockAdjustmentValidation,
   orderValidation,
+  statusReasonValidation,
+  courierAssignmentValidation,
+  customerValidation,
   passwordChangeValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  twoFactorSetupValidation,
+  twoFactorDisableValidation,
   profileUpdateValidation,
-  queryValidation
+  queryValidation,
+  auditQueryValidation,
+  productQueryValidation,
+  inquiryValidation,
+  inquiryStatusValidation,
+  inquiryAssignmentValidation,
+  inquiryNoteValidation,
+  inquiryConversionValidation,
+  inquiryQueryValidation,
+  searchValidation
 };
\ No newline at end of file